@@ -0,0 +1,115 @@
+// 🍪 Browser sessions
+// Connecting a signer issues a random session token, sent back as an HttpOnly
+// cookie. Scripts can ask for the token in the response body and send it as
+// a Bearer token instead. Write routes require the token; the signerUuid
+// alone is no longer enough.
+
+import crypto from 'crypto';
+import { saveAuthSession, getAuthSession, deleteAuthSession } from './database/db.js';
+
+export const SESSION_COOKIE = 'fc_session';
+
+// Read when used, since this module loads before .env does
+function sessionTtlMs() {
+  return (parseInt(process.env.SESSION_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+}
+
+// Tokens are stored only as a hash, so a leaked database can't be replayed
+function tokenId(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        // Ignore cookies we can't decode; they aren't ours
+      }
+    }
+  }
+  return cookies;
+}
+
+function readToken(req) {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function cookieOptions(req) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || (process.env.PUBLIC_BASE_URL || '').startsWith('https://'),
+    path: '/'
+  };
+}
+
+// Start a session for the signer; replaces any session the browser already had
+export function issueSession(req, res, signer) {
+  endSession(req, res);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + sessionTtlMs());
+
+  saveAuthSession({
+    id: tokenId(token),
+    signerUuid: signer.signerUuid,
+    fid: signer.fid,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt.toISOString()
+  });
+
+  res.cookie(SESSION_COOKIE, token, { ...cookieOptions(req), expires: expiresAt });
+
+  return { token, expiresAt: expiresAt.toISOString() };
+}
+
+// The session for this request, or null if it has none (or it expired)
+export function getRequestSession(req) {
+  const token = readToken(req);
+  if (!token) {
+    return null;
+  }
+
+  const session = getAuthSession(tokenId(token));
+  if (!session) {
+    return null;
+  }
+  if (Date.parse(session.expiresAt) <= Date.now()) {
+    deleteAuthSession(session.id);
+    return null;
+  }
+  return session;
+}
+
+// Invalidate the request's session and clear the cookie
+export function endSession(req, res) {
+  const token = readToken(req);
+  if (token) {
+    deleteAuthSession(tokenId(token));
+  }
+  res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+  return !!token;
+}
+
+// Middleware for write routes: sets req.browserSession or answers 401. Its
+// fid is the one the browser asked for when connecting, which nobody has
+// approved yet; routes acting for an account use requireAccount (server.js).
+export function requireSession(req, res, next) {
+  const session = getRequestSession(req);
+  if (!session) {
+    return res.status(401).json({
+      error: 'Not signed in',
+      note: 'Connect your Farcaster account first; write requests need the session it issues.'
+    });
+  }
+  req.browserSession = session;
+  next();
+}
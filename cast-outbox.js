@@ -0,0 +1,247 @@
+// 📮 Cast Outbox
+// Casts whose publish failed are kept here instead of being lost. Transient
+// failures are retried in the background with exponential backoff and jitter;
+// permanent failures, and casts that run out of attempts, are dead-lettered
+// until someone retries or discards them. Entries live in the database layer,
+// so retries survive a restart.
+//
+// The outbox also follows submitted casts until they can be seen on the
+// network, moving their post from 'submitted' to 'confirmed'.
+
+import crypto from 'crypto';
+import {
+  saveOutboxEntry, getOutboxEntry, listOutboxEntries, queryPosts, updatePostById
+} from './database/db.js';
+import { CastValidationError, CastPublishError, isTransientPublishError } from './cast-utils.js';
+
+// queued -> sending -> sent, or back to queued (transient failure) or dead
+// (permanent failure, or out of attempts). Queued and dead entries can be
+// retried or discarded.
+export const OUTBOX_STATUSES = ['queued', 'sending', 'sent', 'dead', 'discarded'];
+
+// How long after submission a cast is still checked for confirmation
+const CONFIRM_WINDOW_MS = 60 * 60 * 1000;
+
+function errorBody(error) {
+  return error.body || { error: error.message };
+}
+
+class CastOutbox {
+  // `publish(entry)` publishes entry.cast for entry.signerUuid onto the post
+  // entry.postId and resolves with { hash, provider }. `confirm(post)`
+  // resolves true once a submitted post's cast can be seen on the network.
+  // `onFailed(entry)` is called when a cast is given up on: dead-lettered, or
+  // discarded while still queued.
+  constructor(publish, options = {}) {
+    this.publish = publish;
+    this.confirm = options.confirm || (async () => false);
+    this.onFailed = options.onFailed || (() => {});
+    this.intervalMs = options.intervalMs || 15000;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+    this.baseDelayMs = options.baseDelayMs || (parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS) || 30) * 1000;
+    this.maxDelayMs = options.maxDelayMs || (parseInt(process.env.OUTBOX_RETRY_MAX_MINUTES) || 60) * 60 * 1000;
+    this.maxConfirmChecks = options.maxConfirmChecks || 20;
+    this.unconfirmed = new Map(); // post id -> { post, checks }
+    this.inFlight = new Set();
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    this.recoverInterrupted();
+    for (const post of queryPosts({ status: 'submitted', since: Date.now() - CONFIRM_WINDOW_MS })) {
+      this.watch(post);
+    }
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    console.log(`📮 Cast outbox running (up to ${this.maxAttempts} attempts per cast)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Delay before the next attempt: doubles per attempt up to maxDelayMs, with
+  // "equal jitter" (half fixed, half random) so retries don't stampede
+  backoff(attempts) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** Math.max(0, attempts - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  // Keep a cast whose first publish attempt failed with `error`
+  enqueue(signer, castRequest, post, error) {
+    const entry = {
+      id: crypto.randomUUID(),
+      signerUuid: signer.signerUuid,
+      fid: signer.fid,
+      provider: signer.provider,
+      postId: post.id,
+      cast: castRequest,
+      attempts: 1,
+      createdAt: new Date().toISOString()
+    };
+    return this.fail(entry, error);
+  }
+
+  // Record a failed attempt: queue another one if the error may be transient
+  // and attempts are left, otherwise dead-letter the entry
+  fail(entry, error) {
+    const retry = isTransientPublishError(error) && entry.attempts < this.maxAttempts;
+    const now = Date.now();
+    const failed = {
+      ...entry,
+      status: retry ? 'queued' : 'dead',
+      nextAttemptAt: retry ? new Date(now + this.backoff(entry.attempts)).toISOString() : null,
+      lastError: errorBody(error),
+      ...(retry ? {} : { deadAt: new Date(now).toISOString() })
+    };
+    saveOutboxEntry(failed);
+    updatePostById(entry.postId, {
+      status: retry ? 'pending' : 'failed',
+      error: failed.lastError,
+      outboxId: entry.id
+    });
+
+    if (retry) {
+      console.log(`📮 Cast queued for retry ${entry.attempts + 1}/${this.maxAttempts} at ${failed.nextAttemptAt}:`, entry.id);
+    } else {
+      console.log('💀 Cast dead-lettered after', entry.attempts, 'attempt(s):', entry.id, failed.lastError.error);
+      this.onFailed(failed);
+    }
+    return failed;
+  }
+
+  // Follow a submitted post until its cast is confirmed
+  watch(post) {
+    if (post && post.hash) {
+      this.unconfirmed.set(post.id, { post, checks: 0 });
+    }
+  }
+
+  // Publish a queued entry now
+  async attempt(entry) {
+    if (this.inFlight.has(entry.id)) {
+      throw new CastValidationError('This cast is already being published', 'status');
+    }
+    this.inFlight.add(entry.id);
+
+    const sending = {
+      ...entry,
+      status: 'sending',
+      attempts: (entry.attempts || 0) + 1,
+      lastAttemptAt: new Date().toISOString()
+    };
+    saveOutboxEntry(sending);
+
+    try {
+      const result = await this.publish(sending);
+      const sent = {
+        ...sending,
+        status: 'sent',
+        nextAttemptAt: null,
+        sentAt: new Date().toISOString(),
+        result: { hash: result.hash, provider: result.provider }
+      };
+      saveOutboxEntry(sent);
+      console.log('✅ Outbox cast published:', entry.id);
+      return sent;
+    } catch (error) {
+      console.error('❌ Outbox cast failed:', entry.id, error.message);
+      return this.fail(sending, error);
+    } finally {
+      this.inFlight.delete(entry.id);
+    }
+  }
+
+  // Retry a queued or dead entry right away, with a fresh set of attempts
+  async retry(id) {
+    const entry = getOutboxEntry(id);
+    if (!entry) {
+      return null;
+    }
+    if (entry.status !== 'queued' && entry.status !== 'dead') {
+      throw new CastValidationError(`Only queued or dead casts can be retried (status: ${entry.status})`, 'status');
+    }
+    return this.attempt({ ...entry, attempts: 0, retriedAt: new Date().toISOString() });
+  }
+
+  // Give up on a queued or dead entry; its post stays 'failed'
+  discard(id) {
+    const entry = getOutboxEntry(id);
+    if (!entry) {
+      return null;
+    }
+    if (entry.status !== 'queued' && entry.status !== 'dead') {
+      throw new CastValidationError(`Only queued or dead casts can be discarded (status: ${entry.status})`, 'status');
+    }
+    if (this.inFlight.has(id)) {
+      throw new CastValidationError('This cast is being published right now', 'status');
+    }
+
+    const discarded = { ...entry, status: 'discarded', nextAttemptAt: null, discardedAt: new Date().toISOString() };
+    saveOutboxEntry(discarded);
+    updatePostById(entry.postId, { status: 'failed' });
+    if (entry.status === 'queued') {
+      this.onFailed(discarded);
+    }
+    return discarded;
+  }
+
+  // An entry left 'sending' means the process died mid-publish. We can't know
+  // whether the cast went out, so dead-letter it rather than risk a duplicate.
+  recoverInterrupted() {
+    for (const entry of listOutboxEntries({ status: 'sending' })) {
+      this.fail(entry, new CastPublishError(409, {
+        error: 'Interrupted by a server restart while publishing',
+        note: 'Check your feed before retrying this cast.'
+      }));
+    }
+  }
+
+  async tick() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      for (const { id } of listOutboxEntries({ status: 'queued', dueBefore: Date.now() })) {
+        // Earlier publishes in this tick take time: the entry may have been
+        // retried, discarded or rescheduled meanwhile, so go by its current
+        // state. attempt() claims it before anything else can run.
+        const entry = getOutboxEntry(id);
+        if (entry && entry.status === 'queued' && Date.parse(entry.nextAttemptAt) <= Date.now() && !this.inFlight.has(id)) {
+          await this.attempt(entry);
+        }
+      }
+      await this.confirmSubmitted();
+    } catch (error) {
+      console.error('❌ Outbox tick failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Check each watched post once; confirmed ones are done, and ones still
+  // missing after maxConfirmChecks stay 'submitted'
+  async confirmSubmitted() {
+    for (const [id, watched] of this.unconfirmed) {
+      let confirmed = false;
+      try {
+        confirmed = await this.confirm(watched.post);
+      } catch (error) {
+        console.log('Could not confirm cast:', watched.post.hash, error.message);
+      }
+
+      if (confirmed) {
+        updatePostById(id, { status: 'confirmed', confirmedAt: new Date().toISOString() });
+        this.unconfirmed.delete(id);
+      } else if (++watched.checks >= this.maxConfirmChecks) {
+        this.unconfirmed.delete(id);
+      }
+    }
+  }
+}
+
+export default CastOutbox;
@@ -0,0 +1,207 @@
+// 🗓️ Cast Scheduler
+// Publishes scheduled casts when they come due. Jobs are stored in the database
+// layer, so a restart picks up where the last process left off.
+
+import crypto from 'crypto';
+import { saveScheduledCast, getScheduledCast, listScheduledCasts } from './database/db.js';
+import { CastValidationError } from './cast-utils.js';
+
+// What to do with jobs that came due while the server was down:
+//   publish - publish them late
+//   skip    - mark them 'missed'
+//   window  - publish if they are at most SCHEDULE_CATCH_UP_WINDOW_MINUTES late, else 'missed'
+export const CATCH_UP_POLICIES = ['publish', 'skip', 'window'];
+
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+class CastScheduler {
+  // `publish(job)` publishes job.cast and resolves with the publish result.
+  // `onFired(job)` is called with the job once it has fired, whether it
+  // was published or failed.
+  constructor(publish, options = {}) {
+    this.publish = publish;
+    this.onFired = options.onFired || (() => {});
+    this.intervalMs = options.intervalMs || 15000;
+    this.catchUpPolicy = options.catchUpPolicy || process.env.SCHEDULE_CATCH_UP_POLICY || 'window';
+    this.catchUpWindowMs = options.catchUpWindowMs ||
+      (parseInt(process.env.SCHEDULE_CATCH_UP_WINDOW_MINUTES) || 60) * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+    this.startedAt = null;
+
+    if (!CATCH_UP_POLICIES.includes(this.catchUpPolicy)) {
+      throw new Error(`Unknown SCHEDULE_CATCH_UP_POLICY "${this.catchUpPolicy}" (expected: ${CATCH_UP_POLICIES.join(', ')})`);
+    }
+  }
+
+  start() {
+    this.startedAt = Date.now();
+    this.recoverInterrupted();
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    console.log(`🗓️  Cast scheduler running (catch-up policy: ${this.catchUpPolicy})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Parse and validate a requested publish time
+  parseScheduledAt(value) {
+    const time = Date.parse(value);
+    if (!value || Number.isNaN(time)) {
+      throw new CastValidationError('scheduledAt must be an ISO 8601 date', 'scheduledAt');
+    }
+    if (time <= Date.now()) {
+      throw new CastValidationError('scheduledAt must be in the future', 'scheduledAt');
+    }
+    if (time - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+      throw new CastValidationError('scheduledAt must be within one year', 'scheduledAt');
+    }
+    return new Date(time).toISOString();
+  }
+
+  // Queue a validated cast request for a signer
+  schedule(signer, castRequest, scheduledAt) {
+    const job = {
+      id: crypto.randomUUID(),
+      signerUuid: signer.signerUuid,
+      fid: signer.fid,
+      provider: signer.provider,
+      status: 'scheduled',
+      scheduledAt: this.parseScheduledAt(scheduledAt),
+      cast: castRequest,
+      attempts: 0,
+      createdAt: new Date().toISOString()
+    };
+
+    saveScheduledCast(job);
+    console.log('🗓️  Cast scheduled:', job.id, 'for', job.scheduledAt);
+    return job;
+  }
+
+  // Change the cast and/or time of a job that hasn't fired yet
+  update(id, { castRequest, scheduledAt } = {}) {
+    const job = getScheduledCast(id);
+    if (!job) {
+      return null;
+    }
+    if (job.status !== 'scheduled') {
+      throw new CastValidationError(`Only scheduled casts can be edited (status: ${job.status})`, 'status');
+    }
+
+    const updated = {
+      ...job,
+      cast: castRequest || job.cast,
+      scheduledAt: scheduledAt ? this.parseScheduledAt(scheduledAt) : job.scheduledAt
+    };
+    saveScheduledCast(updated);
+    return updated;
+  }
+
+  cancel(id) {
+    const job = getScheduledCast(id);
+    if (!job) {
+      return null;
+    }
+    if (job.status !== 'scheduled') {
+      throw new CastValidationError(`Only scheduled casts can be cancelled (status: ${job.status})`, 'status');
+    }
+
+    const cancelled = { ...job, status: 'cancelled', cancelledAt: new Date().toISOString() };
+    saveScheduledCast(cancelled);
+    return cancelled;
+  }
+
+  // A job left 'publishing' means the process died mid-publish. We can't know
+  // whether the cast went out, so fail it rather than risk a duplicate.
+  recoverInterrupted() {
+    for (const job of listScheduledCasts({ status: 'publishing' })) {
+      saveScheduledCast({
+        ...job,
+        status: 'failed',
+        error: {
+          error: 'Interrupted by a server restart while publishing',
+          note: 'Check your feed before rescheduling this cast.'
+        }
+      });
+    }
+  }
+
+  // Jobs that were already further behind than a couple of polls when the
+  // scheduler started were missed during downtime. Jobs that come due while
+  // it runs are always published, however slow earlier publishes were.
+  shouldSkip(job) {
+    const lateness = (this.startedAt ?? Date.now()) - Date.parse(job.scheduledAt);
+    if (lateness <= this.intervalMs * 2) {
+      return false;
+    }
+    if (this.catchUpPolicy === 'skip') {
+      return true;
+    }
+    if (this.catchUpPolicy === 'window') {
+      return lateness > this.catchUpWindowMs;
+    }
+    return false;
+  }
+
+  async tick() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      for (const job of listScheduledCasts({ status: 'scheduled', dueBefore: Date.now() })) {
+        await this.run(job);
+      }
+    } catch (error) {
+      console.error('❌ Scheduler tick failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Publish a due job. The tick's list can be stale by the time a job's turn
+  // comes (earlier publishes take a while), so the job is read again and
+  // left alone if it was cancelled or moved to a later time meanwhile.
+  async run({ id }) {
+    const job = getScheduledCast(id);
+    if (!job || job.status !== 'scheduled' || Date.parse(job.scheduledAt) > Date.now()) {
+      return;
+    }
+
+    if (this.shouldSkip(job)) {
+      console.log('⏭️  Scheduled cast missed during downtime:', job.id);
+      saveScheduledCast({ ...job, status: 'missed', missedAt: new Date().toISOString() });
+      return;
+    }
+
+    const publishing = { ...job, status: 'publishing', attempts: (job.attempts || 0) + 1 };
+    saveScheduledCast(publishing);
+
+    let fired;
+    try {
+      const result = await this.publish(publishing);
+      fired = {
+        ...publishing,
+        status: 'published',
+        publishedAt: new Date().toISOString(),
+        result: { hash: result.cast.hash, provider: result.provider }
+      };
+      console.log('✅ Scheduled cast published:', job.id);
+    } catch (error) {
+      console.error('❌ Scheduled cast failed:', job.id, error.message);
+      fired = {
+        ...publishing,
+        status: 'failed',
+        error: error.body || { error: error.message }
+      };
+    }
+    saveScheduledCast(fired);
+    this.onFired(fired);
+  }
+}
+
+export default CastScheduler;
@@ -0,0 +1,305 @@
+// 🐘 Cast helpers shared by the Neynar and direct hub posting paths
+
+// Farcaster protocol limits
+export const MAX_EMBEDS = 2;
+export const MAX_EMBED_URL_BYTES = 256;
+export const MAX_MENTIONS = 10;
+
+// Raised for client mistakes in cast input; routes turn this into a 400
+export class CastValidationError extends Error {
+  constructor(message, field = null) {
+    super(message);
+    this.name = 'CastValidationError';
+    this.field = field;
+  }
+}
+
+// Parse a cast hash (0x-prefixed, 20 bytes)
+export function parseCastHash(value, field = 'hash') {
+  const hash = typeof value === 'string' ? value.toLowerCase() : '';
+  if (!/^0x[0-9a-f]{40}$/.test(hash)) {
+    throw new CastValidationError(`${field} must be a 0x-prefixed 20-byte hex string`, field);
+  }
+  return hash;
+}
+
+// Parse a cast id given as { fid, hash }
+export function parseCastId(value, field = 'castId') {
+  if (!value || typeof value !== 'object') {
+    throw new CastValidationError(`${field} must be an object with fid and hash`, field);
+  }
+
+  const fid = parseInt(value.fid);
+  if (!Number.isInteger(fid) || fid <= 0) {
+    throw new CastValidationError(`${field}.fid must be a positive integer`, field);
+  }
+
+  const hash = typeof value.hash === 'string' ? value.hash.toLowerCase() : '';
+  if (!/^0x[0-9a-f]{40}$/.test(hash)) {
+    throw new CastValidationError(`${field}.hash must be a 0x-prefixed 20-byte hex string`, field);
+  }
+
+  return { fid, hash };
+}
+
+// Normalize embeds to [{ url }] / [{ castId: { fid, hash } }].
+// Plain strings are treated as URLs.
+export function normalizeEmbeds(embeds) {
+  if (embeds === undefined || embeds === null) {
+    return [];
+  }
+
+  if (!Array.isArray(embeds)) {
+    throw new CastValidationError('embeds must be an array', 'embeds');
+  }
+
+  if (embeds.length > MAX_EMBEDS) {
+    throw new CastValidationError(`A cast can have at most ${MAX_EMBEDS} embeds`, 'embeds');
+  }
+
+  return embeds.map((embed, index) => {
+    const field = `embeds[${index}]`;
+    const value = typeof embed === 'string' ? { url: embed } : embed;
+
+    if (value && value.castId) {
+      return { castId: parseCastId(value.castId, `${field}.castId`) };
+    }
+
+    if (value && typeof value.url === 'string') {
+      let url;
+      try {
+        url = new URL(value.url);
+      } catch {
+        throw new CastValidationError(`${field} is not a valid URL`, field);
+      }
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new CastValidationError(`${field} must be an http(s) URL`, field);
+      }
+      if (Buffer.byteLength(value.url, 'utf8') > MAX_EMBED_URL_BYTES) {
+        throw new CastValidationError(`${field} must be ${MAX_EMBED_URL_BYTES} bytes or less`, field);
+      }
+      return { url: value.url };
+    }
+
+    throw new CastValidationError(`${field} must be a URL or { castId: { fid, hash } }`, field);
+  });
+}
+
+// Normalize a channel id given as "dev" or "/dev"
+export function normalizeChannelId(value, field = 'channelId') {
+  const channelId = typeof value === 'string' ? value.trim().replace(/^\//, '').toLowerCase() : '';
+  if (!/^[a-z0-9-]{1,64}$/.test(channelId)) {
+    throw new CastValidationError(`${field} must be a channel id like "dev" or "/dev"`, field);
+  }
+  return channelId;
+}
+
+// Web clients that link to casts as https://<host>/<username>/<hash>
+const CAST_URL_HOSTS = ['warpcast.com', 'www.warpcast.com', 'farcaster.xyz', 'www.farcaster.xyz'];
+
+// Parse a Warpcast-style cast URL. The hash in these URLs is often shortened
+// to a prefix, so `isFullHash` tells callers whether it needs resolving.
+export function parseCastUrl(value, field = 'castUrl') {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new CastValidationError(`${field} is not a valid cast URL`, field);
+  }
+
+  const [username, hash] = url.pathname.split('/').filter(Boolean);
+  if (!CAST_URL_HOSTS.includes(url.hostname) || !username || !/^0x[0-9a-fA-F]{6,40}$/.test(hash || '')) {
+    throw new CastValidationError(`${field} must look like https://warpcast.com/<username>/<hash>`, field);
+  }
+
+  return {
+    url: url.href,
+    username: username.replace(/^@/, ''),
+    hash: hash.toLowerCase(),
+    isFullHash: hash.length === 42
+  };
+}
+
+// @username tokens: fnames (lowercase letters, digits, dashes) and .eth names.
+// A token must not follow a word character, so emails aren't mentions.
+const MENTION_PATTERN = /(^|[^\w@.])@([a-z0-9][a-z0-9-]{0,15}(?:\.eth)?)(?![\w-])/gi;
+
+// Find @username tokens in text; `index` is the character offset of the "@"
+export function findMentions(text) {
+  const mentions = [];
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    const index = match.index + match[1].length;
+    mentions.push({
+      username: match[2].toLowerCase(),
+      index,
+      length: match[2].length + 1
+    });
+  }
+  return mentions;
+}
+
+// Convert text with @username tokens into the protocol form: the tokens are
+// removed from the text and replaced by `mentions` (fids) and
+// `mentionsPositions` (UTF-8 byte offsets into the remaining text).
+// `resolved` is a list of { username, fid }; unknown tokens stay as text.
+export function toProtocolMentions(text, resolved = []) {
+  const fids = new Map(resolved.map(mention => [mention.username.toLowerCase(), parseInt(mention.fid)]));
+
+  let remaining = '';
+  let cursor = 0;
+  const mentions = [];
+  const mentionsPositions = [];
+
+  for (const token of findMentions(text)) {
+    if (!fids.has(token.username)) {
+      continue;
+    }
+    remaining += text.slice(cursor, token.index);
+    mentions.push(fids.get(token.username));
+    mentionsPositions.push(Buffer.byteLength(remaining, 'utf8'));
+    cursor = token.index + token.length;
+  }
+  remaining += text.slice(cursor);
+
+  return { text: remaining, mentions, mentionsPositions };
+}
+
+// Raised when a provider cannot publish; carries the HTTP status and response body
+export class CastPublishError extends Error {
+  constructor(status, body) {
+    super(body.details || body.error);
+    this.name = 'CastPublishError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Whether a publish failure might go away on its own: provider or upstream
+// errors (5xx), rate limits, and anything that isn't a CastPublishError.
+// Other 4xx errors (bad input, unapproved signer) won't.
+export function isTransientPublishError(error) {
+  return !(error instanceof CastPublishError) || error.status >= 500 || error.status === 429;
+}
+
+// Upstream 4xx statuses that are about the request itself, and so mean the
+// same thing from us. Others (401/403 about our API key or app, say) would
+// read as the caller's own auth failing.
+const PASSED_THROUGH_STATUSES = [400, 404, 409, 422, 429];
+
+// The status to report for a hub or Neynar failure: the upstream's own status
+// when it rejected the request itself, so permanent rejections stay
+// permanent, or 502 when it couldn't be reached, failed itself or refused us
+export function upstreamErrorStatus(status) {
+  return PASSED_THROUGH_STATUSES.includes(status) ? status : 502;
+}
+
+// Hubs limit cast text to 320 bytes of UTF-8, not 320 characters
+export const MAX_CAST_LENGTH = 320;
+export const MAX_THREAD_PARTS = 25;
+
+export function castByteLength(text) {
+  return Buffer.byteLength(text, 'utf8');
+}
+
+// Where to cut a word that doesn't fit: after the most whole code points
+// that fit in `limit` bytes, moved back to the start of an @mention it would
+// split. Always at least one code point, so splitting makes progress.
+function cutPoint(word, limit) {
+  let end = 0;
+  let bytes = 0;
+  for (const char of word) {
+    const size = castByteLength(char);
+    if (bytes + size > limit && end > 0) {
+      break;
+    }
+    bytes += size;
+    end += char.length;
+  }
+
+  for (const mention of findMentions(word)) {
+    if (mention.index > 0 && mention.index < end && end < mention.index + mention.length) {
+      return mention.index;
+    }
+  }
+  return end;
+}
+
+// Break text into pieces of at most `limit` UTF-8 bytes: whole sentences
+// where possible, then whole words, and only split inside a word as a last
+// resort
+function splitText(text, limit) {
+  const parts = [];
+  let current = '';
+  const fits = value => castByteLength(value.trim()) <= limit;
+
+  const push = () => {
+    if (current.trim()) {
+      parts.push(current.trim());
+    }
+    current = '';
+  };
+
+  // Sentences keep their trailing punctuation and whitespace (including newlines)
+  const sentences = text.match(/[^.!?\n]+(?:[.!?]+|\n+|$)\s*/g) || [text];
+
+  for (const sentence of sentences) {
+    if (fits(current + sentence)) {
+      current += sentence;
+      continue;
+    }
+
+    if (fits(sentence)) {
+      push();
+      current = sentence;
+      continue;
+    }
+
+    // Sentence too long on its own: fall back to words
+    for (const word of sentence.split(/(?<=\s)/)) {
+      if (fits(current + word)) {
+        current += word;
+        continue;
+      }
+
+      push();
+      let rest = word;
+      while (!fits(rest)) {
+        const end = cutPoint(rest, limit);
+        parts.push(rest.slice(0, end));
+        rest = rest.slice(end);
+      }
+      current = rest;
+    }
+  }
+
+  push();
+  return parts;
+}
+
+// Split long text into thread parts of at most MAX_CAST_LENGTH bytes,
+// optionally suffixed with " 1/n" numbering
+export function splitIntoThread(text, { numbering = false, limit = MAX_CAST_LENGTH } = {}) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new CastValidationError('Thread text is required', 'text');
+  }
+
+  let parts = splitText(text.trim(), limit);
+
+  if (numbering && parts.length > 1) {
+    // The suffix length depends on the part count, so re-split until it settles
+    let count = parts.length;
+    for (;;) {
+      const suffixLength = ` ${count}/${count}`.length;
+      parts = splitText(text.trim(), limit - suffixLength);
+      if (parts.length === count) break;
+      count = parts.length;
+    }
+    parts = parts.map((part, index) => `${part} ${index + 1}/${parts.length}`);
+  }
+
+  if (parts.length > MAX_THREAD_PARTS) {
+    throw new CastValidationError(`A thread can have at most ${MAX_THREAD_PARTS} casts`, 'text');
+  }
+
+  return parts;
+}
@@ -0,0 +1,121 @@
+// 📦 Export post history to an archive, or import an archive back
+//
+// Usage:
+//   npm run export-posts -- [--format jsonl|csv] [--fid 123] [--from 2025-01-01] [--to 2025-12-31] [--out posts.jsonl]
+//   npm run import-posts -- posts.jsonl [--format jsonl|csv] [--dry-run]
+//
+// Exports go to stdout unless --out is given. The format defaults to the
+// file extension (.csv or .jsonl), then to jsonl. Imports skip posts whose
+// hash is already stored and report records without a usable hash.
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { ARCHIVE_FORMATS, exportPosts, parseArchive, importPosts } from './archive.js';
+
+dotenv.config();
+
+const [command, ...args] = process.argv.slice(2);
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function formatFor(file, explicit) {
+  const format = explicit || (file && path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'jsonl');
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    fail(`Unknown format "${format}" (expected: ${ARCHIVE_FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    fail(`--${name} must be an ISO 8601 date`);
+  }
+  return time;
+}
+
+let options;
+try {
+  options = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string' },
+      fid: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      out: { type: 'string' },
+      'dry-run': { type: 'boolean' }
+    }
+  });
+} catch (error) {
+  fail(error.message);
+}
+
+const { values, positionals } = options;
+
+if (command === 'export') {
+  const format = formatFor(values.out, values.format);
+  const filter = {
+    format,
+    fid: values.fid !== undefined ? parseInt(values.fid) : undefined,
+    since: parseDate(values.from, 'from'),
+    until: parseDate(values.to, 'to')
+  };
+  if (values.fid !== undefined && !(filter.fid > 0)) {
+    fail('--fid must be a positive integer');
+  }
+
+  // stdout carries the archive, so log lines (e.g. the storage backend) go to stderr
+  if (!values.out) {
+    console.log = console.error;
+  }
+
+  const fd = values.out ? fs.openSync(values.out, 'w') : 1;
+  let count = format === 'csv' ? -1 : 0; // don't count the CSV header
+  for (const chunk of exportPosts(filter)) {
+    fs.writeSync(fd, chunk);
+    count++;
+  }
+
+  if (values.out) {
+    fs.closeSync(fd);
+    console.error(`✅ Exported ${count} post(s) to ${values.out}`);
+  }
+  process.exit(0);
+}
+
+if (command === 'import') {
+  const file = positionals[0];
+  if (!file) {
+    fail('Usage: npm run import-posts -- <archive file> [--format jsonl|csv] [--dry-run]');
+  }
+
+  let parsed;
+  try {
+    parsed = parseArchive(fs.readFileSync(file, 'utf8'), formatFor(file, values.format));
+  } catch (error) {
+    fail(`Could not read ${file}: ${error.message}`);
+  }
+
+  const dryRun = !!values['dry-run'];
+  const result = importPosts(parsed.records, { dryRun });
+  const malformed = [...parsed.malformed, ...result.malformed].sort((a, b) => a.line - b.line);
+
+  console.log(`${dryRun ? '🔎 Dry run: would import' : '✅ Imported'} ${result.imported} post(s), skipped ${result.duplicates} duplicate(s)`);
+  if (malformed.length > 0) {
+    console.log(`⚠️  ${malformed.length} malformed record(s) skipped:`);
+    for (const { line, id, reason } of malformed) {
+      console.log(`   line ${line}${id ? ` (${id})` : ''}: ${reason}`);
+    }
+  }
+  process.exit(0);
+}
+
+fail('Usage: node database/archive-posts.js <export|import> [options]');
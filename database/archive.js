@@ -0,0 +1,225 @@
+// 📦 Post history archives: export to JSONL/CSV and import back, deduplicated by hash.
+// Used by the /api/posts/export and /api/posts/import routes and by archive-posts.js.
+
+import { queryPosts, getPost, getPostByHash, importPost } from './db.js';
+
+export const ARCHIVE_FORMATS = ['jsonl', 'csv'];
+
+export const ARCHIVE_CONTENT_TYPES = {
+  jsonl: 'application/x-ndjson',
+  csv: 'text/csv'
+};
+
+// CSV columns. Object fields are written as JSON; JSONL keeps every field.
+const CSV_COLUMNS = [
+  'id', 'hash', 'fid', 'signerUuid', 'provider', 'status', 'text',
+  'createdAt', 'timestamp', 'parentUrl', 'parentCastId', 'embeds', 'mentions',
+  'deleted', 'deletedAt', 'threadId', 'threadPart', 'threadSize'
+];
+const CSV_JSON_COLUMNS = ['parentCastId', 'embeds', 'mentions'];
+const CSV_NUMBER_COLUMNS = ['fid', 'timestamp', 'threadPart', 'threadSize'];
+
+const EXPORT_PAGE_SIZE = 500;
+
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+// Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and newlines)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+function fromCsvRow(header, cells) {
+  const record = {};
+  header.forEach((column, index) => {
+    const value = cells[index];
+    if (value === undefined || value === '') {
+      return;
+    }
+    if (CSV_JSON_COLUMNS.includes(column)) {
+      record[column] = JSON.parse(value);
+    } else if (CSV_NUMBER_COLUMNS.includes(column)) {
+      record[column] = Number(value);
+    } else if (column === 'deleted') {
+      record[column] = value === 'true';
+    } else {
+      record[column] = value;
+    }
+  });
+  return record;
+}
+
+// Yield the archive for posts matching `filter` ({ fid, since, until }) a
+// line at a time, newest first, reading the store one page at a time
+export function* exportPosts({ format = 'jsonl', ...filter } = {}) {
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    throw new Error(`Unknown archive format "${format}" (expected: ${ARCHIVE_FORMATS.join(', ')})`);
+  }
+
+  if (format === 'csv') {
+    yield toCsvRow(CSV_COLUMNS);
+  }
+
+  let before;
+  for (;;) {
+    const page = queryPosts({ ...filter, before, limit: EXPORT_PAGE_SIZE });
+
+    for (const post of page) {
+      yield format === 'csv'
+        ? toCsvRow(CSV_COLUMNS.map(column => post[column]))
+        : JSON.stringify(post) + '\n';
+    }
+
+    if (page.length < EXPORT_PAGE_SIZE) break;
+    const last = page[page.length - 1];
+    before = { timestamp: last.timestamp, id: last.id };
+  }
+}
+
+// Parse archive text into { records, malformed }; lines that can't be parsed
+// are reported in `malformed` as { line, reason }
+export function parseArchive(text, format = 'jsonl') {
+  const records = [];
+  const malformed = [];
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !header.includes('hash')) {
+      throw new Error('CSV archive must start with a header row that includes "hash"');
+    }
+    rows.forEach((cells, index) => {
+      try {
+        records.push({ line: index + 2, record: fromCsvRow(header, cells) });
+      } catch (error) {
+        malformed.push({ line: index + 2, reason: `Unreadable row: ${error.message}` });
+      }
+    });
+  } else if (format === 'jsonl') {
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push({ line: index + 1, record: JSON.parse(line) });
+      } catch (error) {
+        malformed.push({ line: index + 1, reason: `Invalid JSON: ${error.message}` });
+      }
+    });
+  } else {
+    throw new Error(`Unknown archive format "${format}" (expected: ${ARCHIVE_FORMATS.join(', ')})`);
+  }
+
+  return { records, malformed };
+}
+
+// Why a post record can't be imported, or null if it can
+function invalidReason(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return 'Not a post record';
+  }
+  if (typeof record.hash !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(record.hash)) {
+    // e.g. posts saved as "<timestamp>_undefined" when publishing returned no hash
+    return 'Missing or invalid cast hash';
+  }
+  const fid = Number(record.fid);
+  if (!Number.isInteger(fid) || fid <= 0) {
+    return 'Missing or invalid fid';
+  }
+  return null;
+}
+
+// Merge parsed archive records into the store. Posts whose hash or id is
+// already stored (or repeated in the archive) are skipped; records that can't
+// be identified by hash are reported as malformed rather than imported.
+// With `fid`, only that account's posts are accepted. Ids are always rebuilt
+// from timestamp and hash, so an archive can't overwrite other records.
+export function importPosts(records, { dryRun = false, fid = null } = {}) {
+  const result = { imported: 0, duplicates: 0, malformed: [] };
+  const seen = new Set();
+
+  for (const { line, record } of records) {
+    const reason = invalidReason(record);
+    if (reason) {
+      result.malformed.push({ line, id: record && record.id, reason });
+      continue;
+    }
+    if (fid !== null && Number(record.fid) !== fid) {
+      result.malformed.push({ line, id: record.id, reason: `Belongs to another account (fid ${record.fid})` });
+      continue;
+    }
+
+    const hash = record.hash.toLowerCase();
+    const timestamp = Number.isFinite(Number(record.timestamp)) && record.timestamp !== null
+      ? Number(record.timestamp)
+      : (Date.parse(record.createdAt) || Date.now());
+    const id = `${timestamp}_${hash}`;
+
+    if (seen.has(hash) || getPostByHash(hash) || getPost(id)) {
+      result.duplicates++;
+      continue;
+    }
+    seen.add(hash);
+
+    if (!dryRun && !importPost({
+      ...record,
+      hash,
+      fid: Number(record.fid),
+      id,
+      timestamp,
+      createdAt: record.createdAt || new Date(timestamp).toISOString()
+    })) {
+      result.malformed.push({ line, id: record.id, reason: 'Could not be written to the store' });
+      continue;
+    }
+    result.imported++;
+  }
+
+  return result;
+}
@@ -1,137 +1,585 @@
-import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { encryptRecord, decryptRecord, isEncrypted, hasSecrets } from './encryption.js';
+import JsonFileStore from './stores/json-store.js';
+import SqliteStore from './stores/sqlite-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Database paths
-const USERS_DIR = path.join(__dirname, 'users');
-const POSTS_DIR = path.join(__dirname, 'posts');
-const SESSIONS_DIR = path.join(__dirname, 'sessions');
+// Storage backends, selected with DATABASE_BACKEND (default: json)
+const STORES = {
+  json: () => new JsonFileStore(__dirname),
+  sqlite: () => new SqliteStore(process.env.SQLITE_PATH || path.join(__dirname, 'farcaster.db'))
+};
 
-// Ensure directories exist
-[USERS_DIR, POSTS_DIR, SESSIONS_DIR].forEach(dir => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+let store = null;
+
+// Created on first use so .env has been loaded by the time we read the config
+export function getStore() {
+  if (!store) {
+    const backend = (process.env.DATABASE_BACKEND || 'json').toLowerCase();
+    if (!STORES[backend]) {
+      throw new Error(`Unknown DATABASE_BACKEND "${backend}" (expected: ${Object.keys(STORES).join(', ')})`);
+    }
+    store = STORES[backend]();
+    console.log(`🗄️  Using ${store.name} storage backend`);
   }
-});
+  return store;
+}
 
-// Helper function to read JSON file
-function readJsonFile(filePath) {
+// User management
+export function saveUser(userData) {
   try {
-    if (fs.existsSync(filePath)) {
-      const data = fs.readFileSync(filePath, 'utf8');
-      return JSON.parse(data);
-    }
-    return null;
+    return getStore().putUser({
+      ...userData,
+      updatedAt: new Date().toISOString()
+    });
   } catch (error) {
-    console.error(`Error reading file ${filePath}:`, error);
-    return null;
+    console.error(`Error saving user ${userData.fid}:`, error);
+    return false;
   }
 }
 
-// Helper function to write JSON file
-function writeJsonFile(filePath, data) {
+export function getUser(fid) {
   try {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-    return true;
+    return getStore().getUser(fid);
   } catch (error) {
-    console.error(`Error writing file ${filePath}:`, error);
-    return false;
+    console.error(`Error reading user ${fid}:`, error);
+    return null;
   }
 }
 
-// User management
-export function saveUser(userData) {
-  const filePath = path.join(USERS_DIR, `${userData.fid}.json`);
-  return writeJsonFile(filePath, {
-    ...userData,
-    updatedAt: new Date().toISOString()
-  });
+// Cached user by username, for resolving @mentions without an API call
+export function getUserByUsername(username) {
+  try {
+    return getStore().findUserByUsername(username.toLowerCase());
+  } catch (error) {
+    console.error(`Error reading user @${username}:`, error);
+    return null;
+  }
 }
 
-export function getUser(fid) {
-  const filePath = path.join(USERS_DIR, `${fid}.json`);
-  return readJsonFile(filePath);
+// Cached users whose username starts with `prefix`, for autocomplete
+export function searchUsers(prefix, limit = 10) {
+  try {
+    return getStore().searchUsers({ prefix: prefix.toLowerCase(), limit });
+  } catch (error) {
+    console.error('Error searching users:', error);
+    return [];
+  }
 }
 
-// Post management
+// Post management. Posts saved before they are published have no hash yet,
+// so they get a random id instead. Returns the saved record, or null.
 export function savePost(postData) {
   const timestamp = Date.now();
-  const fileName = `${timestamp}_${postData.hash}.json`;
-  const filePath = path.join(POSTS_DIR, fileName);
-  
+
   const postRecord = {
     ...postData,
-    id: fileName.replace('.json', ''),
+    id: `${timestamp}_${postData.hash || crypto.randomUUID()}`,
     createdAt: new Date().toISOString(),
     timestamp
   };
-  
-  return writeJsonFile(filePath, postRecord);
+
+  try {
+    return getStore().putPost(postRecord) ? postRecord : null;
+  } catch (error) {
+    console.error(`Error saving post ${postRecord.id}:`, error);
+    return null;
+  }
+}
+
+export function getPost(id) {
+  try {
+    return getStore().getPost(id);
+  } catch (error) {
+    console.error(`Error reading post ${id}:`, error);
+    return null;
+  }
+}
+
+// Store a post record as-is (id, timestamp and all), e.g. from an archive
+export function importPost(postRecord) {
+  try {
+    return getStore().putPost(postRecord);
+  } catch (error) {
+    console.error(`Error importing post ${postRecord.id}:`, error);
+    return false;
+  }
 }
 
 export function getPostsByUser(fid, limit = 50) {
   try {
-    const files = fs.readdirSync(POSTS_DIR);
-    const posts = [];
-    
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const post = readJsonFile(path.join(POSTS_DIR, file));
-        if (post && post.fid === fid) {
-          posts.push(post);
-        }
-      }
-    }
-    
-    // Sort by timestamp descending and limit results
-    return posts
-      .sort((a, b) => b.timestamp - a.timestamp)
-      .slice(0, limit);
+    return getStore().listPosts({ fid, limit });
   } catch (error) {
     console.error('Error reading posts:', error);
     return [];
   }
 }
 
+// Filtered page of posts, newest first; see the stores' queryPosts
+export function queryPosts(filter = {}) {
+  try {
+    return getStore().queryPosts(filter);
+  } catch (error) {
+    console.error('Error querying posts:', error);
+    return [];
+  }
+}
+
+export function getPostByHash(hash) {
+  try {
+    return getStore().findPostByHash(hash);
+  } catch (error) {
+    console.error(`Error reading post ${hash}:`, error);
+    return null;
+  }
+}
+
+// Update a saved post in place (same id), e.g. to mark it deleted
+export function updatePost(hash, updates) {
+  return updatePostRecord(getPostByHash(hash), updates);
+}
+
+// Same, by post id; for posts that don't have a hash yet
+export function updatePostById(id, updates) {
+  return updatePostRecord(getPost(id), updates);
+}
+
+function updatePostRecord(post, updates) {
+  if (!post) {
+    return false;
+  }
+
+  try {
+    return getStore().putPost({
+      ...post,
+      ...updates,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error updating post ${post.id}:`, error);
+    return false;
+  }
+}
+
 export function getAllPosts(limit = 100) {
   try {
-    const files = fs.readdirSync(POSTS_DIR);
-    const posts = [];
-    
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const post = readJsonFile(path.join(POSTS_DIR, file));
-        if (post) {
-          posts.push(post);
-        }
-      }
-    }
-    
-    // Sort by timestamp descending and limit results
-    return posts
-      .sort((a, b) => b.timestamp - a.timestamp)
-      .slice(0, limit);
+    return getStore().listPosts({ limit });
   } catch (error) {
     console.error('Error reading posts:', error);
     return [];
   }
 }
 
+// Channel cache
+export function saveChannels(channels) {
+  try {
+    const activeStore = getStore();
+    const updatedAt = new Date().toISOString();
+    activeStore.transaction(() => {
+      channels.forEach(channel => activeStore.putChannel({ ...channel, updatedAt }));
+    });
+    return true;
+  } catch (error) {
+    console.error('Error saving channels:', error);
+    return false;
+  }
+}
+
+export function getChannel(channelId) {
+  try {
+    return getStore().getChannel(channelId);
+  } catch (error) {
+    console.error(`Error reading channel ${channelId}:`, error);
+    return null;
+  }
+}
+
+export function getChannelByUrl(url) {
+  try {
+    return getStore().findChannelByUrl(url);
+  } catch (error) {
+    console.error(`Error reading channel ${url}:`, error);
+    return null;
+  }
+}
+
+// Channels a user follows, cached as a list of channel ids
+export function saveUserChannels(fid, channelIds) {
+  try {
+    return getStore().putUserChannels({
+      fid,
+      channelIds,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error saving channels for user ${fid}:`, error);
+    return false;
+  }
+}
+
+export function getUserChannels(fid) {
+  try {
+    return getStore().getUserChannels(fid);
+  } catch (error) {
+    console.error(`Error reading channels for user ${fid}:`, error);
+    return null;
+  }
+}
+
+// Scheduled casts
+export function saveScheduledCast(job) {
+  try {
+    return getStore().putScheduledCast({
+      ...job,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error saving scheduled cast ${job.id}:`, error);
+    return false;
+  }
+}
+
+export function getScheduledCast(id) {
+  try {
+    return getStore().getScheduledCast(id);
+  } catch (error) {
+    console.error(`Error reading scheduled cast ${id}:`, error);
+    return null;
+  }
+}
+
+// Filter by status, signerUuid, fid and/or dueBefore (ms); sorted soonest first
+export function listScheduledCasts(filter = {}) {
+  try {
+    return getStore().listScheduledCasts(filter);
+  } catch (error) {
+    console.error('Error reading scheduled casts:', error);
+    return [];
+  }
+}
+
+// Idempotency keys: the stored response of a write request, replayed when a
+// client sends the same key again. Records are keyed by a hash of the key.
+export function saveIdempotencyKey(record) {
+  try {
+    return getStore().putIdempotencyKey(record);
+  } catch (error) {
+    console.error('Error saving idempotency key:', error);
+    return false;
+  }
+}
+
+export function getIdempotencyKey(id) {
+  try {
+    return getStore().getIdempotencyKey(id);
+  } catch (error) {
+    console.error('Error reading idempotency key:', error);
+    return null;
+  }
+}
+
+export function deleteIdempotencyKey(id) {
+  try {
+    return getStore().deleteIdempotencyKey(id);
+  } catch (error) {
+    console.error('Error deleting idempotency key:', error);
+    return false;
+  }
+}
+
+export function cleanupExpiredIdempotencyKeys() {
+  try {
+    return getStore().deleteExpiredIdempotencyKeys(Date.now());
+  } catch (error) {
+    console.error('Error cleaning up idempotency keys:', error);
+    return 0;
+  }
+}
+
+// Webhooks: subscriptions to app events, and a log of every delivery
+export function saveWebhook(webhook) {
+  try {
+    return getStore().putWebhook({
+      ...webhook,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error saving webhook ${webhook.id}:`, error);
+    return false;
+  }
+}
+
+export function getWebhook(id) {
+  try {
+    return getStore().getWebhook(id);
+  } catch (error) {
+    console.error(`Error reading webhook ${id}:`, error);
+    return null;
+  }
+}
+
+export function listWebhooks() {
+  try {
+    return getStore().listWebhooks();
+  } catch (error) {
+    console.error('Error reading webhooks:', error);
+    return [];
+  }
+}
+
+export function deleteWebhook(id) {
+  try {
+    return getStore().deleteWebhook(id);
+  } catch (error) {
+    console.error(`Error deleting webhook ${id}:`, error);
+    return false;
+  }
+}
+
+export function saveWebhookDelivery(delivery) {
+  try {
+    return getStore().putWebhookDelivery({
+      ...delivery,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error saving webhook delivery ${delivery.id}:`, error);
+    return false;
+  }
+}
+
+export function getWebhookDelivery(id) {
+  try {
+    return getStore().getWebhookDelivery(id);
+  } catch (error) {
+    console.error(`Error reading webhook delivery ${id}:`, error);
+    return null;
+  }
+}
+
+// Filter by webhookId, status and/or dueBefore (ms); newest first
+export function listWebhookDeliveries(filter = {}) {
+  try {
+    return getStore().listWebhookDeliveries(filter);
+  } catch (error) {
+    console.error('Error reading webhook deliveries:', error);
+    return [];
+  }
+}
+
+// Finished deliveries are kept in the log for 30 days
+export function cleanupOldWebhookDeliveries() {
+  try {
+    return getStore().deleteFinishedWebhookDeliveries(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  } catch (error) {
+    console.error('Error cleaning up webhook deliveries:', error);
+    return 0;
+  }
+}
+
+// Outbox: casts whose publish failed, waiting to be retried
+export function saveOutboxEntry(entry) {
+  try {
+    return getStore().putOutboxEntry({
+      ...entry,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error saving outbox entry ${entry.id}:`, error);
+    return false;
+  }
+}
+
+export function getOutboxEntry(id) {
+  try {
+    return getStore().getOutboxEntry(id);
+  } catch (error) {
+    console.error(`Error reading outbox entry ${id}:`, error);
+    return null;
+  }
+}
+
+// Filter by status, signerUuid, fid and/or dueBefore (ms); sorted by next attempt
+export function listOutboxEntries(filter = {}) {
+  try {
+    return getStore().listOutboxEntries(filter);
+  } catch (error) {
+    console.error('Error reading outbox:', error);
+    return [];
+  }
+}
+
+// Threads: multi-cast posts, kept so a partially posted thread can be resumed
+export function saveThread(thread) {
+  try {
+    return getStore().putThread({
+      ...thread,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error saving thread ${thread.id}:`, error);
+    return false;
+  }
+}
+
+export function getThread(id) {
+  try {
+    return getStore().getThread(id);
+  } catch (error) {
+    console.error(`Error reading thread ${id}:`, error);
+    return null;
+  }
+}
+
+// Reactions: a log of the likes and recasts made through this app, one record
+// per (fid, type, target) whose status is 'active' or 'removed'
+export function reactionId(fid, type, targetHash) {
+  return `${fid}-${type}-${targetHash}`;
+}
+
+export function saveReaction(reaction) {
+  try {
+    return getStore().putReaction({
+      ...reaction,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error saving reaction ${reaction.id}:`, error);
+    return false;
+  }
+}
+
+export function getReaction(id) {
+  try {
+    return getStore().getReaction(id);
+  } catch (error) {
+    console.error(`Error reading reaction ${id}:`, error);
+    return null;
+  }
+}
+
+// Filter by fid, type, targetHash and/or status; newest first
+export function listReactions(filter = {}) {
+  try {
+    return getStore().listReactions(filter);
+  } catch (error) {
+    console.error('Error reading reactions:', error);
+    return [];
+  }
+}
+
+// Links: the follows made through this app, one record per (fid, target)
+// whose status is 'active' or 'removed'
+export function linkId(fid, type, targetFid) {
+  return `${fid}-${type}-${targetFid}`;
+}
+
+export function saveLink(link) {
+  try {
+    return getStore().putLink({
+      ...link,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error saving link ${link.id}:`, error);
+    return false;
+  }
+}
+
+export function getLink(id) {
+  try {
+    return getStore().getLink(id);
+  } catch (error) {
+    console.error(`Error reading link ${id}:`, error);
+    return null;
+  }
+}
+
+// Filter by fid, targetFid and/or status; newest first
+export function listLinks(filter = {}) {
+  try {
+    return getStore().listLinks(filter);
+  } catch (error) {
+    console.error('Error reading links:', error);
+    return [];
+  }
+}
+
 // Session management
+// Secret fields (signer private keys) are envelope-encrypted before they hit disk
+function decryptSession(session) {
+  if (!session) {
+    return null;
+  }
+
+  try {
+    return decryptRecord(session);
+  } catch (error) {
+    // Keep the envelope intact so a later save can't drop the encrypted keys
+    console.error(`Error decrypting session ${session.signerUuid}:`, error.message);
+    return session;
+  }
+}
+
 export function saveSession(sessionData) {
-  const filePath = path.join(SESSIONS_DIR, `${sessionData.signerUuid}.json`);
-  return writeJsonFile(filePath, {
-    ...sessionData,
-    updatedAt: new Date().toISOString()
-  });
+  try {
+    return getStore().putSession(encryptRecord({
+      ...sessionData,
+      updatedAt: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error(`Error saving session ${sessionData.signerUuid}:`, error.message);
+    return false;
+  }
 }
 
 export function getSession(signerUuid) {
-  const filePath = path.join(SESSIONS_DIR, `${signerUuid}.json`);
-  return readJsonFile(filePath);
+  try {
+    return decryptSession(getStore().getSession(signerUuid));
+  } catch (error) {
+    console.error(`Error reading session ${signerUuid}:`, error);
+    return null;
+  }
+}
+
+export function getAllSessions() {
+  try {
+    return getStore().listSessions().map(decryptSession);
+  } catch (error) {
+    console.error('Error reading sessions:', error);
+    return [];
+  }
+}
+
+// Re-encrypt every session with the current master key. Sessions still wrapped
+// with SESSION_MASTER_KEY_PREVIOUS, or stored in plain text, are rewritten.
+export function rotateSessionKeys() {
+  const result = { rotated: 0, skipped: 0, failed: [] };
+  const activeStore = getStore();
+
+  for (const stored of activeStore.listSessions()) {
+    if (!isEncrypted(stored) && !hasSecrets(stored)) {
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      // Preserve updatedAt: rotation is not user activity
+      const session = decryptRecord(stored);
+      if (!activeStore.putSession(encryptRecord(session))) {
+        throw new Error('write failed');
+      }
+      result.rotated++;
+    } catch (error) {
+      result.failed.push({ signerUuid: stored.signerUuid, error: error.message });
+    }
+  }
+
+  return result;
 }
 
 export function updateSession(signerUuid, updates) {
@@ -145,52 +593,93 @@ export function updateSession(signerUuid, updates) {
 
 export function deleteSession(signerUuid) {
   try {
-    const filePath = path.join(SESSIONS_DIR, `${signerUuid}.json`);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      return true;
-    }
-    return false;
+    return getStore().deleteSession(signerUuid);
   } catch (error) {
     console.error(`Error deleting session ${signerUuid}:`, error);
     return false;
   }
 }
 
-// Cleanup old sessions (older than 24 hours)
+// Browser sessions: bind a browser (cookie or bearer token) to one signer.
+// Only a hash of the token is stored.
+export function saveAuthSession(authSession) {
+  try {
+    return getStore().putAuthSession(authSession);
+  } catch (error) {
+    console.error('Error saving browser session:', error);
+    return false;
+  }
+}
+
+export function getAuthSession(id) {
+  try {
+    return getStore().getAuthSession(id);
+  } catch (error) {
+    console.error('Error reading browser session:', error);
+    return null;
+  }
+}
+
+export function deleteAuthSession(id) {
+  try {
+    return getStore().deleteAuthSession(id);
+  } catch (error) {
+    console.error('Error deleting browser session:', error);
+    return false;
+  }
+}
+
+export function cleanupExpiredAuthSessions() {
+  try {
+    const now = Date.now();
+    for (const authSession of getStore().listAuthSessions()) {
+      if (Date.parse(authSession.expiresAt) <= now) {
+        deleteAuthSession(authSession.id);
+      }
+    }
+  } catch (error) {
+    console.error('Error cleaning up browser sessions:', error);
+  }
+}
+
+// Signer states that mean it was never approved
+const ABANDONED_SIGNER_STATUSES = ['pending', 'generated', 'pending_approval', 'expired'];
+
+// Remove abandoned signers: never approved, and untouched for 24 hours. A
+// signed key request can still be approved until its deadline, so it's kept
+// until then. Approved signers (and revoked ones, which were approved once)
+// are never removed. Returns the removed signers' UUIDs, so the server can
+// drop them from its registry as well; it runs this hourly.
 export function cleanupOldSessions() {
+  const removed = [];
   try {
-    const files = fs.readdirSync(SESSIONS_DIR);
     const now = Date.now();
     const oneDay = 24 * 60 * 60 * 1000;
-    
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const session = readJsonFile(path.join(SESSIONS_DIR, file));
-        if (session && session.updatedAt) {
-          const sessionAge = now - new Date(session.updatedAt).getTime();
-          if (sessionAge > oneDay) {
-            deleteSession(session.signerUuid);
-          }
-        }
+
+    for (const session of getStore().listSessions()) {
+      if (!ABANDONED_SIGNER_STATUSES.includes(session.status)) {
+        continue;
+      }
+
+      const lastActivity = new Date(session.updatedAt || session.createdAt).getTime();
+      const approvableUntil = session.deadline ? session.deadline * 1000 : 0;
+      if (now - lastActivity > oneDay && approvableUntil <= now && deleteSession(session.signerUuid)) {
+        removed.push(session.signerUuid);
       }
     }
   } catch (error) {
     console.error('Error cleaning up sessions:', error);
   }
+  return removed;
 }
 
 // Database statistics
 export function getDatabaseStats() {
   try {
-    const userCount = fs.readdirSync(USERS_DIR).filter(f => f.endsWith('.json')).length;
-    const postCount = fs.readdirSync(POSTS_DIR).filter(f => f.endsWith('.json')).length;
-    const sessionCount = fs.readdirSync(SESSIONS_DIR).filter(f => f.endsWith('.json')).length;
-    
+    const activeStore = getStore();
     return {
-      users: userCount,
-      posts: postCount,
-      sessions: sessionCount,
+      ...activeStore.counts(),
+      backend: activeStore.name,
       lastUpdated: new Date().toISOString()
     };
   } catch (error) {
@@ -199,5 +688,10 @@ export function getDatabaseStats() {
   }
 }
 
-// Run cleanup every hour
-setInterval(cleanupOldSessions, 60 * 60 * 1000); 
\ No newline at end of file
+// Run cleanup every hour. Unref'd so scripts and tests that use the
+// database can still exit; the server is kept alive by its listener.
+setInterval(() => {
+  cleanupExpiredAuthSessions();
+  cleanupExpiredIdempotencyKeys();
+  cleanupOldWebhookDeliveries();
+}, 60 * 60 * 1000).unref();
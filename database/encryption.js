@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+
+// Envelope encryption for secret fields in stored records.
+// Each record gets its own random data key; the data key is wrapped with the
+// master key from SESSION_MASTER_KEY. Rotating the master key only means
+// re-wrapping data keys (see database/rotate-keys.js).
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+
+// Fields that must never be written to disk in plain text
+export const SECRET_FIELDS = ['keypair'];
+
+// Parse a 32-byte key given as hex or base64
+function parseKey(value, name) {
+  if (!value) {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`${name} must be 32 bytes encoded as hex or base64`);
+  }
+  return key;
+}
+
+// Short, non-secret fingerprint so we know which master key wrapped a record
+function keyIdFor(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+}
+
+function loadMasterKeys() {
+  const current = parseKey(process.env.SESSION_MASTER_KEY, 'SESSION_MASTER_KEY');
+  const previous = parseKey(process.env.SESSION_MASTER_KEY_PREVIOUS, 'SESSION_MASTER_KEY_PREVIOUS');
+
+  const keys = new Map();
+  if (current) keys.set(keyIdFor(current), current);
+  if (previous) keys.set(keyIdFor(previous), previous);
+
+  return {
+    current: current ? { id: keyIdFor(current), key: current } : null,
+    keys
+  };
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function open(key, { iv, tag, data }) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+}
+
+export function isEncryptionConfigured() {
+  return !!loadMasterKeys().current;
+}
+
+export function hasSecrets(record) {
+  return !!record && SECRET_FIELDS.some(field => record[field] !== undefined);
+}
+
+export function isEncrypted(record) {
+  return !!record && !!record.secrets && record.secrets.v === ENVELOPE_VERSION;
+}
+
+// Move secret fields into an encrypted envelope under `secrets`
+export function encryptRecord(record) {
+  if (!hasSecrets(record)) {
+    return record;
+  }
+
+  const { current } = loadMasterKeys();
+  if (!current) {
+    throw new Error('SESSION_MASTER_KEY is required to store secret fields');
+  }
+
+  const plain = { ...record };
+  const secretValues = {};
+  for (const field of SECRET_FIELDS) {
+    if (plain[field] !== undefined) {
+      secretValues[field] = plain[field];
+      delete plain[field];
+    }
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const payload = seal(dataKey, Buffer.from(JSON.stringify(secretValues), 'utf8'));
+  const wrappedKey = seal(current.key, dataKey);
+
+  return {
+    ...plain,
+    secrets: {
+      v: ENVELOPE_VERSION,
+      alg: ALGORITHM,
+      keyId: current.id,
+      wrappedKey,
+      ...payload
+    }
+  };
+}
+
+// Restore secret fields from the envelope written by encryptRecord
+export function decryptRecord(record) {
+  if (!isEncrypted(record)) {
+    return record;
+  }
+
+  const { keys } = loadMasterKeys();
+  const masterKey = keys.get(record.secrets.keyId);
+  if (!masterKey) {
+    throw new Error(`No master key available for key id ${record.secrets.keyId}`);
+  }
+
+  const dataKey = open(masterKey, record.secrets.wrappedKey);
+  const secretValues = JSON.parse(open(dataKey, record.secrets).toString('utf8'));
+
+  const { secrets, ...plain } = record;
+  return { ...plain, ...secretValues };
+}
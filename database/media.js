@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MAX_MEDIA_BYTES = 10 * 1024 * 1024; // 10 MB
+
+// Accepted upload types and the extension they are stored under
+export const MEDIA_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Uploaded media lives on local disk (MEDIA_DIR) and is served statically at
+// /media. Read when used, since this module loads before .env does.
+export function mediaDir() {
+  const dir = process.env.MEDIA_DIR || path.join(__dirname, 'media');
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+// The image type a file really is, from its first bytes, or null. Uploads
+// are checked against this rather than trusting the Content-Type header.
+export function detectMediaType(buffer) {
+  const startsWith = (bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+  const ascii = text => [...text].map(char => char.charCodeAt(0));
+
+  if (startsWith([0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(ascii('GIF87a')) || startsWith(ascii('GIF89a'))) {
+    return 'image/gif';
+  }
+  if (startsWith(ascii('RIFF')) && startsWith(ascii('WEBP'), 8)) {
+    return 'image/webp';
+  }
+  return null;
+}
+
+// Store an uploaded file under a content-addressed name, so the same upload
+// always maps to the same stable URL
+export function saveMedia(buffer, contentType) {
+  const extension = MEDIA_TYPES[contentType];
+  if (!extension) {
+    throw new Error(`Unsupported media type: ${contentType}`);
+  }
+  if (detectMediaType(buffer) !== contentType) {
+    throw new Error(`File contents are not ${contentType}`);
+  }
+
+  const digest = crypto.createHash('sha256').update(buffer).digest('hex');
+  const fileName = `${digest.substring(0, 32)}.${extension}`;
+  const filePath = path.join(mediaDir(), fileName);
+
+  if (!fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, buffer);
+  }
+
+  return {
+    fileName,
+    contentType,
+    size: buffer.length
+  };
+}
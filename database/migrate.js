@@ -0,0 +1,76 @@
+// 🗄️ Import an existing JSON database/ tree into SQLite
+//
+// Usage:
+//   npm run migrate                 # imports this repo's database/ folder
+//   npm run migrate -- /path/to/db  # imports another JSON tree
+//
+// The target is SQLITE_PATH (default: database/farcaster.db). Records are
+// upserted, so running the migration twice is safe.
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import JsonFileStore from './stores/json-store.js';
+import SqliteStore from './stores/sqlite-store.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const sourceDir = path.resolve(process.argv[2] || __dirname);
+const targetPath = path.resolve(process.env.SQLITE_PATH || path.join(__dirname, 'farcaster.db'));
+
+console.log('🗄️  Migrating JSON database to SQLite...');
+console.log('   Source:', sourceDir);
+console.log('   Target:', targetPath);
+
+const source = new JsonFileStore(sourceDir);
+const target = new SqliteStore(targetPath);
+
+try {
+  const users = source.listUsers();
+  const posts = source.listPosts();
+  const sessions = source.listSessions();
+  const channels = source.listChannels();
+  const userChannels = source.listUserChannels();
+  const scheduled = source.listScheduledCasts();
+  const threads = source.listThreads();
+  const reactions = source.listReactions();
+  const links = source.listLinks();
+  const outbox = source.listOutboxEntries();
+  const webhooks = source.listWebhooks();
+  const deliveries = source.listWebhookDeliveries();
+  // Browser sessions come along so switching backends doesn't sign everyone out
+  const authSessions = source.listAuthSessions().filter(authSession => Date.parse(authSession.expiresAt) > Date.now());
+  // ...and so do idempotency keys, so a retry after the switch is still a replay
+  const idempotencyKeys = source.listIdempotencyKeys().filter(record => Date.parse(record.expiresAt) > Date.now());
+
+  // Session records are copied as stored, so encrypted secrets stay encrypted
+  target.transaction(() => {
+    users.forEach(user => target.putUser(user));
+    posts.forEach(post => target.putPost(post));
+    sessions.forEach(session => target.putSession(session));
+    channels.forEach(channel => target.putChannel(channel));
+    userChannels.forEach(record => target.putUserChannels(record));
+    scheduled.forEach(job => target.putScheduledCast(job));
+    threads.forEach(thread => target.putThread(thread));
+    reactions.forEach(reaction => target.putReaction(reaction));
+    links.forEach(link => target.putLink(link));
+    outbox.forEach(entry => target.putOutboxEntry(entry));
+    webhooks.forEach(webhook => target.putWebhook(webhook));
+    deliveries.forEach(delivery => target.putWebhookDelivery(delivery));
+    authSessions.forEach(authSession => target.putAuthSession(authSession));
+    idempotencyKeys.forEach(record => target.putIdempotencyKey(record));
+  });
+
+  console.log(`✅ Imported ${users.length} user(s), ${posts.length} post(s), ${sessions.length} session(s), ${authSessions.length} browser session(s)`);
+  console.log(`   ...and ${channels.length} cached channel(s), ${userChannels.length} user channel list(s)`);
+  console.log(`   ...and ${scheduled.length} scheduled cast(s), ${threads.length} thread(s), ${reactions.length} reaction(s), ${links.length} follow(s)`);
+  console.log(`   ...and ${outbox.length} outbox entr${outbox.length === 1 ? 'y' : 'ies'}, ${webhooks.length} webhook(s), ${deliveries.length} webhook deliver${deliveries.length === 1 ? 'y' : 'ies'}, ${idempotencyKeys.length} idempotency key(s)`);
+  console.log('💡 Set DATABASE_BACKEND=sqlite in .env to use the new database');
+} catch (error) {
+  console.error('❌ Migration failed, nothing was imported:', error.message);
+  process.exitCode = 1;
+} finally {
+  target.close();
+}
@@ -0,0 +1,35 @@
+// 🔐 Re-encrypt stored signer secrets with the current master key
+//
+// Usage:
+//   1. Set SESSION_MASTER_KEY to the new key
+//   2. Set SESSION_MASTER_KEY_PREVIOUS to the old key (omit on first run)
+//   3. npm run rotate-keys
+//   4. Remove SESSION_MASTER_KEY_PREVIOUS once every session has rotated
+
+import dotenv from 'dotenv';
+import { isEncryptionConfigured } from './encryption.js';
+import { rotateSessionKeys } from './db.js';
+
+dotenv.config();
+
+if (!isEncryptionConfigured()) {
+  console.log('❌ SESSION_MASTER_KEY is not set');
+  console.log('   Generate one with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
+  process.exit(1);
+}
+
+console.log('🔐 Rotating session encryption keys...');
+
+const result = rotateSessionKeys();
+
+console.log(`✅ Re-encrypted ${result.rotated} session(s), ${result.skipped} without secrets`);
+
+if (result.failed.length > 0) {
+  console.log(`❌ ${result.failed.length} session(s) could not be decrypted:`);
+  for (const { signerUuid, error } of result.failed) {
+    console.log(`   ${signerUuid}: ${error}`);
+  }
+  process.exit(1);
+}
+
+process.exit(0);
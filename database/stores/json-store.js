@@ -0,0 +1,428 @@
+import fs from 'fs';
+import path from 'path';
+
+// File-based storage: one JSON file per user, post and session.
+// This is the original layout of the database/ folder.
+
+// Records are stored as <id>.json. Ids reach here from URLs, so anything that
+// could name a file outside `dir` (e.g. "../sessions/<uuid>") gets no path
+// at all, and the record reads as missing.
+function recordFile(dir, id) {
+  const key = String(id);
+  return /^[\w-]+$/.test(key) ? path.join(dir, `${key}.json`) : null;
+}
+
+// Helper function to read JSON file
+function readJsonFile(filePath) {
+  try {
+    if (filePath && fs.existsSync(filePath)) {
+      const data = fs.readFileSync(filePath, 'utf8');
+      return JSON.parse(data);
+    }
+    return null;
+  } catch (error) {
+    console.error(`Error reading file ${filePath}:`, error);
+    return null;
+  }
+}
+
+// Helper function to write JSON file
+function writeJsonFile(filePath, data) {
+  if (!filePath) {
+    console.error('Not writing a record with an invalid id');
+    return false;
+  }
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    return true;
+  } catch (error) {
+    console.error(`Error writing file ${filePath}:`, error);
+    return false;
+  }
+}
+
+// Read every .json file in a directory
+function readJsonDir(dir) {
+  const records = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (file.endsWith('.json')) {
+      const record = readJsonFile(path.join(dir, file));
+      if (record) {
+        records.push(record);
+      }
+    }
+  }
+  return records;
+}
+
+function countJsonFiles(dir) {
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).length;
+}
+
+// Posts saved before post statuses existed were confirmed (or deleted)
+function postStatus(record) {
+  if (record.status && record.status !== 'published') {
+    return record.status;
+  }
+  return record.deleted ? 'deleted' : 'confirmed';
+}
+
+class JsonFileStore {
+  constructor(rootDir) {
+    this.name = 'json';
+    this.usersDir = path.join(rootDir, 'users');
+    this.postsDir = path.join(rootDir, 'posts');
+    this.sessionsDir = path.join(rootDir, 'sessions');
+    this.channelsDir = path.join(rootDir, 'channels');
+    this.userChannelsDir = path.join(rootDir, 'user-channels');
+    this.scheduledDir = path.join(rootDir, 'scheduled');
+    this.threadsDir = path.join(rootDir, 'threads');
+    this.reactionsDir = path.join(rootDir, 'reactions');
+    this.linksDir = path.join(rootDir, 'links');
+    this.authSessionsDir = path.join(rootDir, 'auth-sessions');
+    this.outboxDir = path.join(rootDir, 'outbox');
+    this.idempotencyDir = path.join(rootDir, 'idempotency');
+    this.webhooksDir = path.join(rootDir, 'webhooks');
+    this.webhookDeliveriesDir = path.join(rootDir, 'webhook-deliveries');
+
+    // Ensure directories exist
+    [
+      this.usersDir, this.postsDir, this.sessionsDir,
+      this.channelsDir, this.userChannelsDir, this.scheduledDir, this.threadsDir,
+      this.reactionsDir, this.linksDir, this.authSessionsDir, this.outboxDir,
+      this.idempotencyDir, this.webhooksDir, this.webhookDeliveriesDir
+    ].forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    });
+  }
+
+  // Writes to individual files are already atomic enough for this store
+  transaction(fn) {
+    return fn();
+  }
+
+  // Users
+  putUser(record) {
+    return writeJsonFile(recordFile(this.usersDir, record.fid), record);
+  }
+
+  getUser(fid) {
+    return readJsonFile(recordFile(this.usersDir, fid));
+  }
+
+  listUsers() {
+    return readJsonDir(this.usersDir);
+  }
+
+  findUserByUsername(username) {
+    return readJsonDir(this.usersDir).find(user => user.username === username) || null;
+  }
+
+  searchUsers({ prefix, limit }) {
+    return readJsonDir(this.usersDir)
+      .filter(user => typeof user.username === 'string' && user.username.toLowerCase().startsWith(prefix))
+      .sort((a, b) => a.username.localeCompare(b.username))
+      .slice(0, limit);
+  }
+
+  // Posts
+  putPost(record) {
+    return writeJsonFile(recordFile(this.postsDir, record.id), record);
+  }
+
+  getPost(id) {
+    return readJsonFile(recordFile(this.postsDir, id));
+  }
+
+  listPosts({ fid, limit } = {}) {
+    let posts = readJsonDir(this.postsDir);
+    if (fid !== undefined) {
+      posts = posts.filter(post => Number(post.fid) === Number(fid));
+    }
+
+    // Sort by timestamp descending and limit results
+    posts.sort((a, b) => b.timestamp - a.timestamp);
+    return limit === undefined ? posts : posts.slice(0, limit);
+  }
+
+  // Filtered page of posts, newest first. `before` is the { timestamp, id } of
+  // the last post of the previous page.
+  queryPosts({ fid, signerUuid, provider, status, since, until, search, before, limit } = {}) {
+    const needle = search === undefined ? undefined : search.toLowerCase();
+    const posts = readJsonDir(this.postsDir)
+      .filter(post => fid === undefined || Number(post.fid) === Number(fid))
+      .filter(post => signerUuid === undefined || post.signerUuid === signerUuid)
+      .filter(post => provider === undefined || post.provider === provider)
+      .filter(post => status === undefined || postStatus(post) === status)
+      .filter(post => since === undefined || post.timestamp >= since)
+      .filter(post => until === undefined || post.timestamp <= until)
+      .filter(post => needle === undefined || (post.text || '').toLowerCase().includes(needle))
+      .filter(post => before === undefined || post.timestamp < before.timestamp ||
+        (post.timestamp === before.timestamp && post.id < before.id))
+      .sort((a, b) => b.timestamp - a.timestamp || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
+    return limit === undefined ? posts : posts.slice(0, limit);
+  }
+
+  findPostByHash(hash) {
+    return readJsonDir(this.postsDir).find(post => post.hash === hash) || null;
+  }
+
+  // Sessions
+  putSession(record) {
+    return writeJsonFile(recordFile(this.sessionsDir, record.signerUuid), record);
+  }
+
+  getSession(signerUuid) {
+    return readJsonFile(recordFile(this.sessionsDir, signerUuid));
+  }
+
+  listSessions() {
+    return readJsonDir(this.sessionsDir).filter(session => session.signerUuid);
+  }
+
+  deleteSession(signerUuid) {
+    const filePath = recordFile(this.sessionsDir, signerUuid);
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      return true;
+    }
+    return false;
+  }
+
+  // Channels
+  putChannel(record) {
+    return writeJsonFile(recordFile(this.channelsDir, record.id), record);
+  }
+
+  getChannel(channelId) {
+    return readJsonFile(recordFile(this.channelsDir, channelId));
+  }
+
+  listChannels() {
+    return readJsonDir(this.channelsDir);
+  }
+
+  findChannelByUrl(url) {
+    return readJsonDir(this.channelsDir).find(channel => channel.url === url) || null;
+  }
+
+  putUserChannels(record) {
+    return writeJsonFile(recordFile(this.userChannelsDir, record.fid), record);
+  }
+
+  getUserChannels(fid) {
+    return readJsonFile(recordFile(this.userChannelsDir, fid));
+  }
+
+  listUserChannels() {
+    return readJsonDir(this.userChannelsDir);
+  }
+
+  // Scheduled casts
+  putScheduledCast(record) {
+    return writeJsonFile(recordFile(this.scheduledDir, record.id), record);
+  }
+
+  getScheduledCast(id) {
+    return readJsonFile(recordFile(this.scheduledDir, id));
+  }
+
+  listScheduledCasts({ status, signerUuid, fid, dueBefore } = {}) {
+    return readJsonDir(this.scheduledDir)
+      .filter(job => status === undefined || job.status === status)
+      .filter(job => signerUuid === undefined || job.signerUuid === signerUuid)
+      .filter(job => fid === undefined || Number(job.fid) === Number(fid))
+      .filter(job => dueBefore === undefined || Date.parse(job.scheduledAt) <= dueBefore)
+      .sort((a, b) => Date.parse(a.scheduledAt) - Date.parse(b.scheduledAt));
+  }
+
+  // Threads
+  putThread(record) {
+    return writeJsonFile(recordFile(this.threadsDir, record.id), record);
+  }
+
+  getThread(id) {
+    return readJsonFile(recordFile(this.threadsDir, id));
+  }
+
+  listThreads() {
+    return readJsonDir(this.threadsDir);
+  }
+
+  // Reactions
+  putReaction(record) {
+    return writeJsonFile(recordFile(this.reactionsDir, record.id), record);
+  }
+
+  getReaction(id) {
+    return readJsonFile(recordFile(this.reactionsDir, id));
+  }
+
+  listReactions({ fid, type, targetHash, status, limit } = {}) {
+    const reactions = readJsonDir(this.reactionsDir)
+      .filter(reaction => fid === undefined || Number(reaction.fid) === Number(fid))
+      .filter(reaction => type === undefined || reaction.type === type)
+      .filter(reaction => targetHash === undefined || reaction.target.hash === targetHash)
+      .filter(reaction => status === undefined || reaction.status === status)
+      .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+    return limit === undefined ? reactions : reactions.slice(0, limit);
+  }
+
+  // Links (follows)
+  putLink(record) {
+    return writeJsonFile(recordFile(this.linksDir, record.id), record);
+  }
+
+  getLink(id) {
+    return readJsonFile(recordFile(this.linksDir, id));
+  }
+
+  listLinks({ fid, targetFid, status, limit } = {}) {
+    const links = readJsonDir(this.linksDir)
+      .filter(link => fid === undefined || Number(link.fid) === Number(fid))
+      .filter(link => targetFid === undefined || Number(link.targetFid) === Number(targetFid))
+      .filter(link => status === undefined || link.status === status)
+      .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+    return limit === undefined ? links : links.slice(0, limit);
+  }
+
+  // Browser sessions, keyed by a hash of the session token
+  putAuthSession(record) {
+    return writeJsonFile(recordFile(this.authSessionsDir, record.id), record);
+  }
+
+  getAuthSession(id) {
+    return readJsonFile(recordFile(this.authSessionsDir, id));
+  }
+
+  listAuthSessions() {
+    return readJsonDir(this.authSessionsDir);
+  }
+
+  deleteAuthSession(id) {
+    const filePath = recordFile(this.authSessionsDir, id);
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      return true;
+    }
+    return false;
+  }
+
+  // Idempotency keys: stored responses of write requests, for replays
+  putIdempotencyKey(record) {
+    return writeJsonFile(recordFile(this.idempotencyDir, record.id), record);
+  }
+
+  getIdempotencyKey(id) {
+    return readJsonFile(recordFile(this.idempotencyDir, id));
+  }
+
+  listIdempotencyKeys() {
+    return readJsonDir(this.idempotencyDir);
+  }
+
+  deleteIdempotencyKey(id) {
+    const filePath = recordFile(this.idempotencyDir, id);
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      return true;
+    }
+    return false;
+  }
+
+  // Remove keys that expired at or before `time` (ms); returns how many
+  deleteExpiredIdempotencyKeys(time) {
+    let removed = 0;
+    for (const record of readJsonDir(this.idempotencyDir)) {
+      if (Date.parse(record.expiresAt) <= time && this.deleteIdempotencyKey(record.id)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Outbox: casts waiting for another publish attempt
+  putOutboxEntry(record) {
+    return writeJsonFile(recordFile(this.outboxDir, record.id), record);
+  }
+
+  getOutboxEntry(id) {
+    return readJsonFile(recordFile(this.outboxDir, id));
+  }
+
+  listOutboxEntries({ status, signerUuid, fid, dueBefore, limit } = {}) {
+    const entries = readJsonDir(this.outboxDir)
+      .filter(entry => status === undefined || entry.status === status)
+      .filter(entry => signerUuid === undefined || entry.signerUuid === signerUuid)
+      .filter(entry => fid === undefined || Number(entry.fid) === Number(fid))
+      .filter(entry => dueBefore === undefined || Date.parse(entry.nextAttemptAt) <= dueBefore)
+      .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt));
+    return limit === undefined ? entries : entries.slice(0, limit);
+  }
+
+  // Webhook subscriptions and their delivery log
+  putWebhook(record) {
+    return writeJsonFile(recordFile(this.webhooksDir, record.id), record);
+  }
+
+  getWebhook(id) {
+    return readJsonFile(recordFile(this.webhooksDir, id));
+  }
+
+  listWebhooks() {
+    return readJsonDir(this.webhooksDir)
+      .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+  }
+
+  deleteWebhook(id) {
+    const filePath = recordFile(this.webhooksDir, id);
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      return true;
+    }
+    return false;
+  }
+
+  putWebhookDelivery(record) {
+    return writeJsonFile(recordFile(this.webhookDeliveriesDir, record.id), record);
+  }
+
+  getWebhookDelivery(id) {
+    return readJsonFile(recordFile(this.webhookDeliveriesDir, id));
+  }
+
+  // Newest first
+  listWebhookDeliveries({ webhookId, status, dueBefore, limit } = {}) {
+    const deliveries = readJsonDir(this.webhookDeliveriesDir)
+      .filter(delivery => webhookId === undefined || delivery.webhookId === webhookId)
+      .filter(delivery => status === undefined || delivery.status === status)
+      .filter(delivery => dueBefore === undefined || Date.parse(delivery.nextAttemptAt) <= dueBefore)
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    return limit === undefined ? deliveries : deliveries.slice(0, limit);
+  }
+
+  // Remove finished deliveries created at or before `time` (ms); returns how many
+  deleteFinishedWebhookDeliveries(time) {
+    let removed = 0;
+    for (const delivery of readJsonDir(this.webhookDeliveriesDir)) {
+      if ((delivery.status === 'delivered' || delivery.status === 'failed') && Date.parse(delivery.createdAt) <= time) {
+        fs.unlinkSync(recordFile(this.webhookDeliveriesDir, delivery.id));
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Statistics
+  counts() {
+    return {
+      users: countJsonFiles(this.usersDir),
+      posts: countJsonFiles(this.postsDir),
+      sessions: countJsonFiles(this.sessionsDir)
+    };
+  }
+}
+
+export default JsonFileStore;
@@ -0,0 +1,912 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+// Embedded SQLite storage. Records are kept as JSON in a `data` column, with
+// the fields we filter and sort on copied into indexed columns.
+
+const require = createRequire(import.meta.url);
+
+// Each entry upgrades the schema by one version (tracked in PRAGMA user_version)
+const MIGRATIONS = [
+  `
+  CREATE TABLE users (
+    fid INTEGER PRIMARY KEY,
+    username TEXT,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX users_username ON users (username);
+
+  CREATE TABLE posts (
+    id TEXT PRIMARY KEY,
+    hash TEXT,
+    fid INTEGER,
+    signer_uuid TEXT,
+    provider TEXT,
+    timestamp INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX posts_fid_timestamp ON posts (fid, timestamp DESC);
+  CREATE INDEX posts_timestamp ON posts (timestamp DESC);
+  CREATE INDEX posts_hash ON posts (hash);
+
+  CREATE TABLE sessions (
+    signer_uuid TEXT PRIMARY KEY,
+    fid INTEGER,
+    status TEXT,
+    provider TEXT,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX sessions_fid ON sessions (fid);
+  `,
+  `
+  CREATE TABLE channels (
+    id TEXT PRIMARY KEY,
+    url TEXT,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX channels_url ON channels (url);
+
+  CREATE TABLE user_channels (
+    fid INTEGER PRIMARY KEY,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE scheduled_casts (
+    id TEXT PRIMARY KEY,
+    signer_uuid TEXT,
+    fid INTEGER,
+    status TEXT NOT NULL,
+    scheduled_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX scheduled_casts_status_time ON scheduled_casts (status, scheduled_at);
+  CREATE INDEX scheduled_casts_fid ON scheduled_casts (fid, scheduled_at);
+  `,
+  `
+  CREATE TABLE threads (
+    id TEXT PRIMARY KEY,
+    signer_uuid TEXT,
+    fid INTEGER,
+    status TEXT NOT NULL,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX threads_fid ON threads (fid);
+  `,
+  `
+  CREATE TABLE reactions (
+    id TEXT PRIMARY KEY,
+    fid INTEGER,
+    type TEXT NOT NULL,
+    target_hash TEXT NOT NULL,
+    status TEXT NOT NULL,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX reactions_fid ON reactions (fid, updated_at DESC);
+  CREATE INDEX reactions_target ON reactions (target_hash);
+  `,
+  `
+  CREATE TABLE links (
+    id TEXT PRIMARY KEY,
+    fid INTEGER,
+    target_fid INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX links_fid ON links (fid, updated_at DESC);
+  CREATE INDEX links_target ON links (target_fid);
+  `,
+  `
+  ALTER TABLE posts ADD COLUMN status TEXT;
+  UPDATE posts SET status = CASE
+    WHEN json_extract(data, '$.deleted') THEN 'deleted'
+    ELSE COALESCE(json_extract(data, '$.status'), 'published')
+  END;
+  CREATE INDEX posts_status_timestamp ON posts (status, timestamp DESC);
+  `,
+  `
+  CREATE TABLE auth_sessions (
+    id TEXT PRIMARY KEY,
+    signer_uuid TEXT,
+    expires_at INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX auth_sessions_signer ON auth_sessions (signer_uuid);
+  `,
+  `
+  CREATE TABLE outbox (
+    id TEXT PRIMARY KEY,
+    signer_uuid TEXT,
+    fid INTEGER,
+    status TEXT NOT NULL,
+    next_attempt_at INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX outbox_status_next ON outbox (status, next_attempt_at);
+  CREATE INDEX outbox_fid ON outbox (fid, next_attempt_at);
+
+  UPDATE posts SET status = 'confirmed' WHERE status = 'published';
+  `,
+  `
+  CREATE TABLE idempotency_keys (
+    id TEXT PRIMARY KEY,
+    fid INTEGER,
+    expires_at INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX idempotency_keys_expires ON idempotency_keys (expires_at);
+  `,
+  `
+  CREATE TABLE webhooks (
+    id TEXT PRIMARY KEY,
+    created_at INTEGER,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    webhook_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    next_attempt_at INTEGER,
+    created_at INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at DESC);
+  CREATE INDEX webhook_deliveries_status_next ON webhook_deliveries (status, next_attempt_at);
+  `
+];
+
+// Posts saved before post statuses existed were confirmed (or deleted)
+function postStatus(record) {
+  if (record.status && record.status !== 'published') {
+    return record.status;
+  }
+  return record.deleted ? 'deleted' : 'confirmed';
+}
+
+function toInteger(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.trunc(number) : null;
+}
+
+class SqliteStore {
+  constructor(filePath) {
+    // Loaded lazily so the JSON backend works without the native module
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.name = 'sqlite';
+    this.filePath = filePath;
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+    this.prepareStatements();
+  }
+
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[i]);
+        this.db.pragma(`user_version = ${i + 1}`);
+      })();
+    }
+  }
+
+  prepareStatements() {
+    this.statements = {
+      putUser: this.db.prepare(`
+        INSERT INTO users (fid, username, updated_at, data)
+        VALUES (@fid, @username, @updatedAt, @data)
+        ON CONFLICT (fid) DO UPDATE SET
+          username = excluded.username,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      getUser: this.db.prepare('SELECT data FROM users WHERE fid = ?'),
+      listUsers: this.db.prepare('SELECT data FROM users'),
+      findUserByUsername: this.db.prepare('SELECT data FROM users WHERE username = ? ORDER BY updated_at DESC LIMIT 1'),
+      searchUsers: this.db.prepare("SELECT data FROM users WHERE username LIKE ? ESCAPE '\\' ORDER BY username LIMIT ?"),
+
+      putPost: this.db.prepare(`
+        INSERT INTO posts (id, hash, fid, signer_uuid, provider, status, timestamp, data)
+        VALUES (@id, @hash, @fid, @signerUuid, @provider, @status, @timestamp, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          hash = excluded.hash,
+          fid = excluded.fid,
+          signer_uuid = excluded.signer_uuid,
+          provider = excluded.provider,
+          status = excluded.status,
+          timestamp = excluded.timestamp,
+          data = excluded.data
+      `),
+      getPost: this.db.prepare('SELECT data FROM posts WHERE id = ?'),
+      listPosts: this.db.prepare('SELECT data FROM posts ORDER BY timestamp DESC LIMIT ?'),
+      listPostsByFid: this.db.prepare('SELECT data FROM posts WHERE fid = ? ORDER BY timestamp DESC LIMIT ?'),
+      findPostByHash: this.db.prepare('SELECT data FROM posts WHERE hash = ? ORDER BY timestamp DESC LIMIT 1'),
+
+      putSession: this.db.prepare(`
+        INSERT INTO sessions (signer_uuid, fid, status, provider, updated_at, data)
+        VALUES (@signerUuid, @fid, @status, @provider, @updatedAt, @data)
+        ON CONFLICT (signer_uuid) DO UPDATE SET
+          fid = excluded.fid,
+          status = excluded.status,
+          provider = excluded.provider,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      getSession: this.db.prepare('SELECT data FROM sessions WHERE signer_uuid = ?'),
+      listSessions: this.db.prepare('SELECT data FROM sessions'),
+      deleteSession: this.db.prepare('DELETE FROM sessions WHERE signer_uuid = ?'),
+
+      putChannel: this.db.prepare(`
+        INSERT INTO channels (id, url, updated_at, data)
+        VALUES (@id, @url, @updatedAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          url = excluded.url,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      getChannel: this.db.prepare('SELECT data FROM channels WHERE id = ?'),
+      findChannelByUrl: this.db.prepare('SELECT data FROM channels WHERE url = ? LIMIT 1'),
+      listChannels: this.db.prepare('SELECT data FROM channels'),
+      putUserChannels: this.db.prepare(`
+        INSERT INTO user_channels (fid, updated_at, data)
+        VALUES (@fid, @updatedAt, @data)
+        ON CONFLICT (fid) DO UPDATE SET
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      getUserChannels: this.db.prepare('SELECT data FROM user_channels WHERE fid = ?'),
+      listUserChannels: this.db.prepare('SELECT data FROM user_channels'),
+
+      putScheduledCast: this.db.prepare(`
+        INSERT INTO scheduled_casts (id, signer_uuid, fid, status, scheduled_at, data)
+        VALUES (@id, @signerUuid, @fid, @status, @scheduledAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          signer_uuid = excluded.signer_uuid,
+          fid = excluded.fid,
+          status = excluded.status,
+          scheduled_at = excluded.scheduled_at,
+          data = excluded.data
+      `),
+      getScheduledCast: this.db.prepare('SELECT data FROM scheduled_casts WHERE id = ?'),
+
+      putThread: this.db.prepare(`
+        INSERT INTO threads (id, signer_uuid, fid, status, updated_at, data)
+        VALUES (@id, @signerUuid, @fid, @status, @updatedAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          signer_uuid = excluded.signer_uuid,
+          fid = excluded.fid,
+          status = excluded.status,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      getThread: this.db.prepare('SELECT data FROM threads WHERE id = ?'),
+      listThreads: this.db.prepare('SELECT data FROM threads'),
+
+      putReaction: this.db.prepare(`
+        INSERT INTO reactions (id, fid, type, target_hash, status, updated_at, data)
+        VALUES (@id, @fid, @type, @targetHash, @status, @updatedAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          fid = excluded.fid,
+          type = excluded.type,
+          target_hash = excluded.target_hash,
+          status = excluded.status,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      getReaction: this.db.prepare('SELECT data FROM reactions WHERE id = ?'),
+
+      putLink: this.db.prepare(`
+        INSERT INTO links (id, fid, target_fid, status, updated_at, data)
+        VALUES (@id, @fid, @targetFid, @status, @updatedAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          fid = excluded.fid,
+          target_fid = excluded.target_fid,
+          status = excluded.status,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      getLink: this.db.prepare('SELECT data FROM links WHERE id = ?'),
+
+      putAuthSession: this.db.prepare(`
+        INSERT INTO auth_sessions (id, signer_uuid, expires_at, data)
+        VALUES (@id, @signerUuid, @expiresAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          signer_uuid = excluded.signer_uuid,
+          expires_at = excluded.expires_at,
+          data = excluded.data
+      `),
+      getAuthSession: this.db.prepare('SELECT data FROM auth_sessions WHERE id = ?'),
+      listAuthSessions: this.db.prepare('SELECT data FROM auth_sessions'),
+      deleteAuthSession: this.db.prepare('DELETE FROM auth_sessions WHERE id = ?'),
+
+      putIdempotencyKey: this.db.prepare(`
+        INSERT INTO idempotency_keys (id, fid, expires_at, data)
+        VALUES (@id, @fid, @expiresAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          fid = excluded.fid,
+          expires_at = excluded.expires_at,
+          data = excluded.data
+      `),
+      getIdempotencyKey: this.db.prepare('SELECT data FROM idempotency_keys WHERE id = ?'),
+      listIdempotencyKeys: this.db.prepare('SELECT data FROM idempotency_keys'),
+      deleteIdempotencyKey: this.db.prepare('DELETE FROM idempotency_keys WHERE id = ?'),
+      deleteIdempotencyKeysBefore: this.db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?'),
+
+      putOutboxEntry: this.db.prepare(`
+        INSERT INTO outbox (id, signer_uuid, fid, status, next_attempt_at, data)
+        VALUES (@id, @signerUuid, @fid, @status, @nextAttemptAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          signer_uuid = excluded.signer_uuid,
+          fid = excluded.fid,
+          status = excluded.status,
+          next_attempt_at = excluded.next_attempt_at,
+          data = excluded.data
+      `),
+      getOutboxEntry: this.db.prepare('SELECT data FROM outbox WHERE id = ?'),
+
+      putWebhook: this.db.prepare(`
+        INSERT INTO webhooks (id, created_at, data)
+        VALUES (@id, @createdAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          data = excluded.data
+      `),
+      getWebhook: this.db.prepare('SELECT data FROM webhooks WHERE id = ?'),
+      listWebhooks: this.db.prepare('SELECT data FROM webhooks ORDER BY created_at ASC'),
+      deleteWebhook: this.db.prepare('DELETE FROM webhooks WHERE id = ?'),
+
+      putWebhookDelivery: this.db.prepare(`
+        INSERT INTO webhook_deliveries (id, webhook_id, status, next_attempt_at, created_at, data)
+        VALUES (@id, @webhookId, @status, @nextAttemptAt, @createdAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          status = excluded.status,
+          next_attempt_at = excluded.next_attempt_at,
+          data = excluded.data
+      `),
+      getWebhookDelivery: this.db.prepare('SELECT data FROM webhook_deliveries WHERE id = ?'),
+      deleteWebhookDeliveriesBefore: this.db.prepare(`
+        DELETE FROM webhook_deliveries WHERE created_at <= ? AND status IN ('delivered', 'failed')
+      `),
+
+      counts: this.db.prepare(`
+        SELECT
+          (SELECT COUNT(*) FROM users) AS users,
+          (SELECT COUNT(*) FROM posts) AS posts,
+          (SELECT COUNT(*) FROM sessions) AS sessions
+      `)
+    };
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  // Users
+  putUser(record) {
+    this.statements.putUser.run({
+      fid: toInteger(record.fid),
+      username: record.username || null,
+      updatedAt: record.updatedAt || null,
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getUser(fid) {
+    const row = this.statements.getUser.get(toInteger(fid));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listUsers() {
+    return this.statements.listUsers.all().map(row => JSON.parse(row.data));
+  }
+
+  findUserByUsername(username) {
+    const row = this.statements.findUserByUsername.get(username);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  searchUsers({ prefix, limit }) {
+    const pattern = `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+    return this.statements.searchUsers.all(pattern, limit).map(row => JSON.parse(row.data));
+  }
+
+  // Posts
+  putPost(record) {
+    this.statements.putPost.run({
+      id: record.id,
+      hash: record.hash || null,
+      fid: toInteger(record.fid),
+      signerUuid: record.signerUuid || null,
+      provider: record.provider || null,
+      status: postStatus(record),
+      timestamp: toInteger(record.timestamp) ?? 0,
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getPost(id) {
+    const row = this.statements.getPost.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listPosts({ fid, limit } = {}) {
+    // SQLite treats a negative LIMIT as "no limit"
+    const max = limit === undefined ? -1 : limit;
+    const rows = fid === undefined
+      ? this.statements.listPosts.all(max)
+      : this.statements.listPostsByFid.all(toInteger(fid), max);
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  // Filtered page of posts, newest first. `before` is the { timestamp, id } of
+  // the last post of the previous page.
+  queryPosts({ fid, signerUuid, provider, status, since, until, search, before, limit } = {}) {
+    const clauses = [];
+    const params = { limit: limit === undefined ? -1 : limit };
+
+    if (fid !== undefined) {
+      clauses.push('fid = @fid');
+      params.fid = toInteger(fid);
+    }
+    if (signerUuid !== undefined) {
+      clauses.push('signer_uuid = @signerUuid');
+      params.signerUuid = signerUuid;
+    }
+    if (provider !== undefined) {
+      clauses.push('provider = @provider');
+      params.provider = provider;
+    }
+    if (status !== undefined) {
+      clauses.push('status = @status');
+      params.status = status;
+    }
+    if (since !== undefined) {
+      clauses.push('timestamp >= @since');
+      params.since = since;
+    }
+    if (until !== undefined) {
+      clauses.push('timestamp <= @until');
+      params.until = until;
+    }
+    if (search !== undefined) {
+      clauses.push("json_extract(data, '$.text') LIKE @search ESCAPE '\\'");
+      params.search = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    }
+    if (before !== undefined) {
+      clauses.push('(timestamp < @beforeTimestamp OR (timestamp = @beforeTimestamp AND id < @beforeId))');
+      params.beforeTimestamp = before.timestamp;
+      params.beforeId = before.id;
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT data FROM posts ${where} ORDER BY timestamp DESC, id DESC LIMIT @limit`)
+      .all(params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  findPostByHash(hash) {
+    const row = this.statements.findPostByHash.get(hash);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // Sessions
+  putSession(record) {
+    this.statements.putSession.run({
+      signerUuid: record.signerUuid,
+      fid: toInteger(record.fid),
+      status: record.status || null,
+      provider: record.provider || null,
+      updatedAt: record.updatedAt || null,
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getSession(signerUuid) {
+    const row = this.statements.getSession.get(signerUuid);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listSessions() {
+    return this.statements.listSessions.all().map(row => JSON.parse(row.data));
+  }
+
+  deleteSession(signerUuid) {
+    return this.statements.deleteSession.run(signerUuid).changes > 0;
+  }
+
+  // Channels
+  putChannel(record) {
+    this.statements.putChannel.run({
+      id: record.id,
+      url: record.url || null,
+      updatedAt: record.updatedAt || null,
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getChannel(channelId) {
+    const row = this.statements.getChannel.get(channelId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listChannels() {
+    return this.statements.listChannels.all().map(row => JSON.parse(row.data));
+  }
+
+  findChannelByUrl(url) {
+    const row = this.statements.findChannelByUrl.get(url);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  putUserChannels(record) {
+    this.statements.putUserChannels.run({
+      fid: toInteger(record.fid),
+      updatedAt: record.updatedAt || null,
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getUserChannels(fid) {
+    const row = this.statements.getUserChannels.get(toInteger(fid));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listUserChannels() {
+    return this.statements.listUserChannels.all().map(row => JSON.parse(row.data));
+  }
+
+  // Scheduled casts
+  putScheduledCast(record) {
+    this.statements.putScheduledCast.run({
+      id: record.id,
+      signerUuid: record.signerUuid || null,
+      fid: toInteger(record.fid),
+      status: record.status,
+      scheduledAt: Date.parse(record.scheduledAt),
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getScheduledCast(id) {
+    const row = this.statements.getScheduledCast.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listScheduledCasts({ status, signerUuid, fid, dueBefore } = {}) {
+    const clauses = [];
+    const params = {};
+
+    if (status !== undefined) {
+      clauses.push('status = @status');
+      params.status = status;
+    }
+    if (signerUuid !== undefined) {
+      clauses.push('signer_uuid = @signerUuid');
+      params.signerUuid = signerUuid;
+    }
+    if (fid !== undefined) {
+      clauses.push('fid = @fid');
+      params.fid = toInteger(fid);
+    }
+    if (dueBefore !== undefined) {
+      clauses.push('scheduled_at <= @dueBefore');
+      params.dueBefore = dueBefore;
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT data FROM scheduled_casts ${where} ORDER BY scheduled_at ASC`)
+      .all(params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  // Threads
+  putThread(record) {
+    this.statements.putThread.run({
+      id: record.id,
+      signerUuid: record.signerUuid || null,
+      fid: toInteger(record.fid),
+      status: record.status,
+      updatedAt: record.updatedAt || null,
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getThread(id) {
+    const row = this.statements.getThread.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listThreads() {
+    return this.statements.listThreads.all().map(row => JSON.parse(row.data));
+  }
+
+  // Reactions
+  putReaction(record) {
+    this.statements.putReaction.run({
+      id: record.id,
+      fid: toInteger(record.fid),
+      type: record.type,
+      targetHash: record.target.hash,
+      status: record.status,
+      updatedAt: record.updatedAt || null,
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getReaction(id) {
+    const row = this.statements.getReaction.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listReactions({ fid, type, targetHash, status, limit } = {}) {
+    const clauses = [];
+    const params = { limit: limit === undefined ? -1 : limit };
+
+    if (fid !== undefined) {
+      clauses.push('fid = @fid');
+      params.fid = toInteger(fid);
+    }
+    if (type !== undefined) {
+      clauses.push('type = @type');
+      params.type = type;
+    }
+    if (targetHash !== undefined) {
+      clauses.push('target_hash = @targetHash');
+      params.targetHash = targetHash;
+    }
+    if (status !== undefined) {
+      clauses.push('status = @status');
+      params.status = status;
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT data FROM reactions ${where} ORDER BY updated_at DESC LIMIT @limit`)
+      .all(params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  // Links (follows)
+  putLink(record) {
+    this.statements.putLink.run({
+      id: record.id,
+      fid: toInteger(record.fid),
+      targetFid: toInteger(record.targetFid),
+      status: record.status,
+      updatedAt: record.updatedAt || null,
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getLink(id) {
+    const row = this.statements.getLink.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listLinks({ fid, targetFid, status, limit } = {}) {
+    const clauses = [];
+    const params = { limit: limit === undefined ? -1 : limit };
+
+    if (fid !== undefined) {
+      clauses.push('fid = @fid');
+      params.fid = toInteger(fid);
+    }
+    if (targetFid !== undefined) {
+      clauses.push('target_fid = @targetFid');
+      params.targetFid = toInteger(targetFid);
+    }
+    if (status !== undefined) {
+      clauses.push('status = @status');
+      params.status = status;
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT data FROM links ${where} ORDER BY updated_at DESC LIMIT @limit`)
+      .all(params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  // Browser sessions, keyed by a hash of the session token
+  putAuthSession(record) {
+    this.statements.putAuthSession.run({
+      id: record.id,
+      signerUuid: record.signerUuid || null,
+      expiresAt: Date.parse(record.expiresAt) || null,
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getAuthSession(id) {
+    const row = this.statements.getAuthSession.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listAuthSessions() {
+    return this.statements.listAuthSessions.all().map(row => JSON.parse(row.data));
+  }
+
+  deleteAuthSession(id) {
+    return this.statements.deleteAuthSession.run(id).changes > 0;
+  }
+
+  // Idempotency keys: stored responses of write requests, for replays
+  putIdempotencyKey(record) {
+    this.statements.putIdempotencyKey.run({
+      id: record.id,
+      fid: toInteger(record.fid),
+      expiresAt: Date.parse(record.expiresAt) || null,
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getIdempotencyKey(id) {
+    const row = this.statements.getIdempotencyKey.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listIdempotencyKeys() {
+    return this.statements.listIdempotencyKeys.all().map(row => JSON.parse(row.data));
+  }
+
+  deleteIdempotencyKey(id) {
+    return this.statements.deleteIdempotencyKey.run(id).changes > 0;
+  }
+
+  // Remove keys that expired at or before `time` (ms); returns how many
+  deleteExpiredIdempotencyKeys(time) {
+    return this.statements.deleteIdempotencyKeysBefore.run(time).changes;
+  }
+
+  // Outbox: casts waiting for another publish attempt
+  putOutboxEntry(record) {
+    this.statements.putOutboxEntry.run({
+      id: record.id,
+      signerUuid: record.signerUuid || null,
+      fid: toInteger(record.fid),
+      status: record.status,
+      nextAttemptAt: record.nextAttemptAt ? Date.parse(record.nextAttemptAt) : null,
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getOutboxEntry(id) {
+    const row = this.statements.getOutboxEntry.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listOutboxEntries({ status, signerUuid, fid, dueBefore, limit } = {}) {
+    const clauses = [];
+    const params = { limit: limit === undefined ? -1 : limit };
+
+    if (status !== undefined) {
+      clauses.push('status = @status');
+      params.status = status;
+    }
+    if (signerUuid !== undefined) {
+      clauses.push('signer_uuid = @signerUuid');
+      params.signerUuid = signerUuid;
+    }
+    if (fid !== undefined) {
+      clauses.push('fid = @fid');
+      params.fid = toInteger(fid);
+    }
+    if (dueBefore !== undefined) {
+      clauses.push('next_attempt_at <= @dueBefore');
+      params.dueBefore = dueBefore;
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT data FROM outbox ${where} ORDER BY next_attempt_at ASC LIMIT @limit`)
+      .all(params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  // Webhook subscriptions and their delivery log
+  putWebhook(record) {
+    this.statements.putWebhook.run({
+      id: record.id,
+      createdAt: Date.parse(record.createdAt) || Date.now(),
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getWebhook(id) {
+    const row = this.statements.getWebhook.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listWebhooks() {
+    return this.statements.listWebhooks.all().map(row => JSON.parse(row.data));
+  }
+
+  deleteWebhook(id) {
+    return this.statements.deleteWebhook.run(id).changes > 0;
+  }
+
+  putWebhookDelivery(record) {
+    this.statements.putWebhookDelivery.run({
+      id: record.id,
+      webhookId: record.webhookId,
+      status: record.status,
+      nextAttemptAt: record.nextAttemptAt ? Date.parse(record.nextAttemptAt) : null,
+      createdAt: Date.parse(record.createdAt) || Date.now(),
+      data: JSON.stringify(record)
+    });
+    return true;
+  }
+
+  getWebhookDelivery(id) {
+    const row = this.statements.getWebhookDelivery.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // Newest first
+  listWebhookDeliveries({ webhookId, status, dueBefore, limit } = {}) {
+    const clauses = [];
+    const params = { limit: limit === undefined ? -1 : limit };
+
+    if (webhookId !== undefined) {
+      clauses.push('webhook_id = @webhookId');
+      params.webhookId = webhookId;
+    }
+    if (status !== undefined) {
+      clauses.push('status = @status');
+      params.status = status;
+    }
+    if (dueBefore !== undefined) {
+      clauses.push('next_attempt_at <= @dueBefore');
+      params.dueBefore = dueBefore;
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT data FROM webhook_deliveries ${where} ORDER BY created_at DESC LIMIT @limit`)
+      .all(params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  // Remove finished deliveries created at or before `time` (ms); returns how many
+  deleteFinishedWebhookDeliveries(time) {
+    return this.statements.deleteWebhookDeliveriesBefore.run(time).changes;
+  }
+
+  // Statistics
+  counts() {
+    return this.statements.counts.get();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+export default SqliteStore;
@@ -0,0 +1,311 @@
+// 🐘 Farcaster Hub Client
+// Signs protocol messages with a user's approved Ed25519 key and submits them to a hub
+
+import {
+  NobleEd25519Signer,
+  makeCastAdd,
+  makeCastRemove,
+  makeReactionAdd,
+  makeReactionRemove,
+  makeLinkAdd,
+  makeLinkRemove,
+  ReactionType,
+  Message,
+  FarcasterNetwork,
+  CastType,
+  bytesToHexString,
+  hexStringToBytes
+} from '@farcaster/hub-nodejs';
+
+const DEFAULT_HUB_BASE = 'https://nemes.farcaster.xyz:2281'; // Public hub
+
+// App reaction names to protocol reaction types
+const REACTION_TYPES = {
+  like: ReactionType.LIKE,
+  recast: ReactionType.RECAST
+};
+
+// Error raised when a hub refuses a message (or cannot be reached)
+export class HubSubmissionError extends Error {
+  constructor(message, { status = null, errCode = null, details = null } = {}) {
+    super(message);
+    this.name = 'HubSubmissionError';
+    this.status = status;
+    this.errCode = errCode;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      status: this.status,
+      errCode: this.errCode,
+      details: this.details
+    };
+  }
+}
+
+class FarcasterHubClient {
+  constructor(hubUrl = process.env.FARCASTER_HUB_BASE || DEFAULT_HUB_BASE) {
+    // Strip trailing slashes so `${hubUrl}/v1/...` is always well formed
+    this.hubUrl = hubUrl.replace(/\/+$/, '');
+    this.network = FarcasterNetwork.MAINNET;
+  }
+
+  // Build a message signer from a stored hex private key
+  createSigner(privateKeyHex) {
+    const privateKey = hexStringToBytes(privateKeyHex.startsWith('0x') ? privateKeyHex : `0x${privateKeyHex}`);
+    if (privateKey.isErr() || privateKey.value.length !== 32) {
+      throw new Error('Invalid Ed25519 private key');
+    }
+    return new NobleEd25519Signer(privateKey.value);
+  }
+
+  // Convert a { fid, hash } cast id into the protocol's byte form
+  toProtocolCastId({ fid, hash }) {
+    return {
+      fid: parseInt(fid),
+      hash: hexStringToBytes(hash)._unsafeUnwrap()
+    };
+  }
+
+  // Convert normalized embeds ({ url } / { castId }) into protocol embeds
+  toProtocolEmbeds(embeds = []) {
+    return embeds.map(embed => (
+      embed.castId ? { castId: this.toProtocolCastId(embed.castId) } : { url: embed.url }
+    ));
+  }
+
+  // Sign a CastAdd message for the given FID. `text` must already have its
+  // mention tokens removed (see toProtocolMentions in cast-utils.js).
+  async createCastMessage(fid, privateKeyHex, { text, parentUrl, parentCastId, embeds, mentions = [], mentionsPositions = [] } = {}) {
+    const signer = this.createSigner(privateKeyHex);
+
+    const castAdd = await makeCastAdd({
+      text,
+      embeds: this.toProtocolEmbeds(embeds),
+      embedsDeprecated: [],
+      mentions,
+      mentionsPositions,
+      parentUrl: parentUrl || undefined,
+      parentCastId: parentCastId ? this.toProtocolCastId(parentCastId) : undefined,
+      type: CastType.CAST
+    }, {
+      fid: parseInt(fid),
+      network: this.network
+    }, signer);
+
+    if (castAdd.isErr()) {
+      throw new Error(`Failed to build cast message: ${castAdd.error.message}`);
+    }
+
+    return castAdd.value;
+  }
+
+  // Sign a CastRemove message for one of the FID's casts
+  async createCastRemoveMessage(fid, privateKeyHex, targetHash) {
+    const signer = this.createSigner(privateKeyHex);
+
+    const castRemove = await makeCastRemove({
+      targetHash: hexStringToBytes(targetHash)._unsafeUnwrap()
+    }, {
+      fid: parseInt(fid),
+      network: this.network
+    }, signer);
+
+    if (castRemove.isErr()) {
+      throw new Error(`Failed to build cast remove message: ${castRemove.error.message}`);
+    }
+
+    return castRemove.value;
+  }
+
+  // Sign a ReactionAdd (or, with remove, ReactionRemove) message for a cast
+  async createReactionMessage(fid, privateKeyHex, { type, target }, { remove = false } = {}) {
+    if (!REACTION_TYPES[type]) {
+      throw new Error(`Unknown reaction type: ${type}`);
+    }
+
+    const signer = this.createSigner(privateKeyHex);
+    const make = remove ? makeReactionRemove : makeReactionAdd;
+
+    const reaction = await make({
+      type: REACTION_TYPES[type],
+      targetCastId: this.toProtocolCastId(target)
+    }, {
+      fid: parseInt(fid),
+      network: this.network
+    }, signer);
+
+    if (reaction.isErr()) {
+      throw new Error(`Failed to build reaction message: ${reaction.error.message}`);
+    }
+
+    return reaction.value;
+  }
+
+  // Sign a LinkAdd (or, with remove, LinkRemove) message, e.g. a follow
+  async createLinkMessage(fid, privateKeyHex, { type = 'follow', targetFid }, { remove = false } = {}) {
+    const signer = this.createSigner(privateKeyHex);
+    const make = remove ? makeLinkRemove : makeLinkAdd;
+
+    const link = await make({
+      type,
+      targetFid: parseInt(targetFid)
+    }, {
+      fid: parseInt(fid),
+      network: this.network
+    }, signer);
+
+    if (link.isErr()) {
+      throw new Error(`Failed to build link message: ${link.error.message}`);
+    }
+
+    return link.value;
+  }
+
+  // Fetch a cast by its author FID and hash; resolves null when the hub
+  // doesn't have that cast under that FID
+  async getCast(fid, hash) {
+    let response;
+    try {
+      response = await fetch(`${this.hubUrl}/v1/castById?fid=${parseInt(fid)}&hash=${encodeURIComponent(hash)}`);
+    } catch (error) {
+      throw new HubSubmissionError(`Could not reach hub at ${this.hubUrl}`, {
+        details: error.message
+      });
+    }
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch {
+      // Fall through with no body
+    }
+
+    if (response.ok) {
+      return data;
+    }
+    if (response.status === 404 || (data?.errCode || '').startsWith('not_found')) {
+      return null;
+    }
+    throw new HubSubmissionError(
+      `Hub cast lookup failed: ${data?.details || response.statusText || response.status}`,
+      {
+        status: response.status,
+        errCode: data?.errCode || null,
+        details: data?.details || null
+      }
+    );
+  }
+
+  // Submit a signed message to the hub HTTP API
+  async submitMessage(message) {
+    const body = Buffer.from(Message.encode(message).finish());
+
+    let response;
+    try {
+      response = await fetch(`${this.hubUrl}/v1/submitMessage`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+        },
+        body,
+      });
+    } catch (error) {
+      throw new HubSubmissionError(`Could not reach hub at ${this.hubUrl}`, {
+        details: error.message
+      });
+    }
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch {
+      // Some hubs answer errors with plain text; fall through with no body
+    }
+
+    if (!response.ok) {
+      throw new HubSubmissionError(
+        `Hub rejected message: ${data?.details || response.statusText || response.status}`,
+        {
+          status: response.status,
+          errCode: data?.errCode || null,
+          details: data?.details || null
+        }
+      );
+    }
+
+    return data;
+  }
+
+  // Complete flow: sign a cast with the user's key and submit it
+  async publishCast(fid, privateKeyHex, castData) {
+    console.log('📡 Submitting cast to hub:', this.hubUrl);
+
+    const message = await this.createCastMessage(fid, privateKeyHex, castData);
+    const hash = bytesToHexString(message.hash)._unsafeUnwrap();
+
+    await this.submitMessage(message);
+
+    console.log('✅ Hub accepted cast:', hash);
+
+    return {
+      hash,
+      fid: message.data.fid
+    };
+  }
+
+  // Complete flow: like or recast a cast ({ type, target: { fid, hash } }),
+  // or undo the reaction with remove
+  async submitReaction(fid, privateKeyHex, reaction, { remove = false } = {}) {
+    console.log(`📡 Submitting ${reaction.type} ${remove ? 'removal ' : ''}to hub:`, this.hubUrl);
+
+    const message = await this.createReactionMessage(fid, privateKeyHex, reaction, { remove });
+    const hash = bytesToHexString(message.hash)._unsafeUnwrap();
+
+    await this.submitMessage(message);
+
+    console.log('✅ Hub accepted reaction:', hash);
+
+    return {
+      hash,
+      fid: message.data.fid
+    };
+  }
+
+  // Complete flow: follow a user ({ type: 'follow', targetFid }), or
+  // unfollow with remove
+  async submitLink(fid, privateKeyHex, link, { remove = false } = {}) {
+    console.log(`📡 Submitting ${remove ? 'un' : ''}${link.type || 'follow'} of FID ${link.targetFid} to hub:`, this.hubUrl);
+
+    const message = await this.createLinkMessage(fid, privateKeyHex, link, { remove });
+    const hash = bytesToHexString(message.hash)._unsafeUnwrap();
+
+    await this.submitMessage(message);
+
+    console.log('✅ Hub accepted link:', hash);
+
+    return {
+      hash,
+      fid: message.data.fid
+    };
+  }
+
+  // Complete flow: sign a CastRemove for one of the user's casts and submit it
+  async deleteCast(fid, privateKeyHex, targetHash) {
+    console.log('📡 Submitting cast removal to hub:', this.hubUrl);
+
+    const message = await this.createCastRemoveMessage(fid, privateKeyHex, targetHash);
+    await this.submitMessage(message);
+
+    console.log('✅ Hub accepted cast removal:', targetHash);
+
+    return {
+      targetHash,
+      fid: message.data.fid
+    };
+  }
+}
+
+export default FarcasterHubClient;
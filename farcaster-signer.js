@@ -206,6 +206,7 @@ class FarcasterSignerManager {
         approvalUrl: signedKeyRequest.deeplinkUrl,
         token: signedKeyRequest.token,
         state: signedKeyRequest.state,
+        deadline: signatureData.deadline,
         message: 'User signer setup complete. Present approval URL to user.'
       };
       
@@ -219,7 +220,9 @@ class FarcasterSignerManager {
     }
   }
 
-  // Poll for signer approval (call this periodically)
+  // Poll for signer approval (call this periodically). Blocks for up to
+  // maxAttempts polls; the server streams approval from one shared poller
+  // instead (GET /api/signer-status/:signerUuid/stream).
   async waitForSignerApproval(token, maxAttempts = 30, intervalMs = 2000) {
     console.log('⏳ Waiting for user to approve signer...');
     console.log('   Max attempts:', maxAttempts);
@@ -0,0 +1,164 @@
+// 🔁 Idempotency keys
+// A client can send an Idempotency-Key header with a write request so that
+// retrying it (after a timeout, or a double click) can't do the work twice.
+// The first request with a key runs and its response is stored; later ones
+// with the same key and body get that response back without running again,
+// and ones with the same key but a different body are rejected.
+//
+// Keys are per account and per route, and are kept for IDEMPOTENCY_TTL_HOURS.
+
+import crypto from 'crypto';
+import { saveIdempotencyKey, getIdempotencyKey } from './database/db.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Responses worth replaying: not rate limiting, and not server errors, which
+// the client should be able to retry with the same key
+function isFinalStatus(statusCode) {
+  return statusCode < 500 && statusCode !== 429;
+}
+
+// Resolve once `promise` settles or `ms` have passed, whichever is first
+function waitFor(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class IdempotencyKeys {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || (parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    // How long a retry waits for the same request, still running, to finish
+    this.waitMs = options.waitMs ?? 5000;
+    this.inFlight = new Map(); // record id -> { fingerprint, done }
+  }
+
+  // The stored response for a record id, unless it has expired
+  liveRecord(id) {
+    const stored = getIdempotencyKey(id);
+    return stored && Date.parse(stored.expiresAt) > Date.now() ? stored : null;
+  }
+
+  // Express middleware for a route. The account comes from the browser
+  // session, so put it after requireAccount; put it before the rate limiter
+  // so replays don't use up the budget.
+  middleware(route) {
+    return async (req, res, next) => {
+      try {
+        const key = req.get(IDEMPOTENCY_HEADER);
+        if (key === undefined) {
+          return next();
+        }
+        if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+          return res.status(400).json({
+            error: `${IDEMPOTENCY_HEADER} must be 1-${MAX_KEY_LENGTH} printable ASCII characters`,
+            field: IDEMPOTENCY_HEADER
+          });
+        }
+
+        const id = sha256(`${route}:${req.browserSession.fid}:${key}`);
+        const fingerprint = sha256(`${req.method} ${req.path} ${canonicalJson(req.body || {})}`);
+
+        let live = this.liveRecord(id);
+        const running = this.inFlight.get(id);
+        const usedWith = live ? live.fingerprint : running && running.fingerprint;
+
+        if (usedWith && usedWith !== fingerprint) {
+          return res.status(422).json({
+            error: `This ${IDEMPOTENCY_HEADER} was already used with a different request`,
+            field: IDEMPOTENCY_HEADER
+          });
+        }
+
+        // The same request is still running (the client gave up on it and
+        // retried): wait a little for its response rather than run it twice
+        if (!live && running) {
+          await waitFor(running.done, this.waitMs);
+          live = this.liveRecord(id);
+        }
+        if (live) {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(live.statusCode).json(live.body);
+        }
+        if (this.inFlight.has(id)) {
+          res.set('Retry-After', '1');
+          return res.status(409).json({
+            error: `A request with this ${IDEMPOTENCY_HEADER} is still in progress`,
+            retryAfter: 1
+          });
+        }
+
+        this.track(id, res, {
+          fid: req.browserSession.fid,
+          route,
+          fingerprint
+        });
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Mark the request in flight until its handler sends a response, then
+  // store that response. The handler runs to the end even if the client has
+  // disconnected, so its response is stored either way and a retry gets it.
+  track(id, res, record) {
+    let finish;
+    const done = new Promise(resolve => {
+      finish = resolve;
+    });
+    this.inFlight.set(id, { fingerprint: record.fingerprint, done });
+
+    let body;
+    const json = res.json.bind(res);
+    res.json = value => {
+      body = value;
+      return json(value);
+    };
+
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+      const running = this.inFlight.get(id);
+      if (running && running.done === done) {
+        if (body !== undefined && isFinalStatus(res.statusCode)) {
+          const now = Date.now();
+          saveIdempotencyKey({
+            id,
+            ...record,
+            statusCode: res.statusCode,
+            body,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.ttlMs).toISOString()
+          });
+        }
+        this.inFlight.delete(id);
+        finish();
+      }
+      return end(...args);
+    };
+  }
+}
+
+export default IdempotencyKeys;
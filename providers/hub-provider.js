@@ -0,0 +1,175 @@
+// Direct hub provider: signs messages with the signer's own Ed25519 key and
+// submits them to a Farcaster hub. No Neynar account needed.
+
+import { HubSubmissionError } from '../farcaster-hub.js';
+import { CastPublishError, upstreamErrorStatus, toProtocolMentions } from '../cast-utils.js';
+
+class HubProvider {
+  constructor(hubClient, hubBase) {
+    this.name = 'direct_farcaster';
+    this.hubClient = hubClient;
+    this.hubBase = hubBase;
+  }
+
+  // The signer's private key, or a 400 if setup never finished
+  requireKey(signer) {
+    if (!signer.keypair || !signer.keypair.privateKey) {
+      throw new CastPublishError(400, {
+        error: 'Ed25519 keys not found',
+        message: 'Signer setup incomplete. Please reconnect your Farcaster account.',
+        currentStatus: signer.status
+      });
+    }
+    return signer.keypair.privateKey;
+  }
+
+  // Turn a hub failure into a CastPublishError for `action` (e.g. "cast").
+  // Rejections of the message keep the hub's status (see
+  // upstreamErrorStatus); an unreachable or unavailable hub is a 502.
+  hubError(error, action) {
+    if (error instanceof HubSubmissionError) {
+      console.error(`❌ Hub rejected ${action}:`, error.message);
+      const unavailable = (error.errCode || '').startsWith('unavailable');
+      return new CastPublishError(unavailable ? 502 : upstreamErrorStatus(error.status), {
+        error: `Hub rejected ${action}`,
+        details: error.message,
+        hubError: error.toJSON(),
+        hub: this.hubBase
+      });
+    }
+    console.error(`❌ Ed25519 ${action} failed:`, error);
+    return new CastPublishError(500, {
+      error: `Failed to submit ${action} with Ed25519`,
+      details: error.message
+    });
+  }
+
+  // Signed key request state from the Farcaster client API, or 'expired'
+  // for a request still pending after its deadline. `updates` are the signer
+  // fields to store.
+  async status(signer) {
+    if (!signer.token) {
+      return null;
+    }
+
+    const { default: FarcasterSignerManager } = await import('../farcaster-signer.js');
+    const signerManager = new FarcasterSignerManager();
+    const realStatus = await signerManager.checkSignedKeyRequestStatus(signer.token);
+
+    const expired = realStatus.state === 'pending' && signer.deadline && signer.deadline * 1000 <= Date.now();
+    const state = expired ? 'expired' : realStatus.state;
+
+    return {
+      state,
+      ready: state === 'completed',
+      details: realStatus,
+      updates: state !== signer.status
+        ? { status: state, ...(realStatus.userFid ? { fid: realStatus.userFid } : {}) }
+        : null
+    };
+  }
+
+  async publish(signer, { text, embeds, parentUrl, parentCastId, mentions = [] }) {
+    const privateKey = this.requireKey(signer);
+
+    if (!signer.token) {
+      throw new CastPublishError(400, {
+        error: 'Signer token missing',
+        message: 'Signer setup incomplete. Please reconnect your Farcaster account.',
+        currentStatus: signer.status
+      });
+    }
+
+    // Check if signer is actually approved on-chain
+    let status;
+    try {
+      status = await this.status(signer);
+    } catch (statusError) {
+      console.error('❌ Error checking signer status:', statusError);
+      throw new CastPublishError(500, {
+        error: 'Failed to verify signer status',
+        details: statusError.message,
+        note: 'Could not verify if your Ed25519 keys are approved. Please try again.'
+      });
+    }
+
+    if (status.state === 'approved') {
+      throw new CastPublishError(400, {
+        error: 'Signer approved, waiting for on-chain confirmation',
+        message: 'Your signer is approved but waiting for blockchain confirmation. Please wait a few minutes.',
+        currentStatus: status.state,
+        approvalUrl: signer.approvalUrl
+      });
+    }
+
+    if (status.state !== 'completed') {
+      throw new CastPublishError(400, {
+        error: 'Signer not fully approved',
+        message: `Signer status: ${status.state}. Please complete the approval process.`,
+        currentStatus: status.state,
+        approvalUrl: signer.approvalUrl
+      });
+    }
+
+    console.log('🎉 Signer approved! Posting real cast to Farcaster...');
+    console.log('   User FID:', signer.fid);
+    console.log('   Cast text:', text);
+    console.log('   Public Key:', signer.publicKey.substring(0, 10) + '...');
+
+    let submitted;
+    try {
+      // Hubs only notify mentioned users through mentions/mentionsPositions
+      submitted = await this.hubClient.publishCast(signer.fid, privateKey, {
+        ...toProtocolMentions(text, mentions),
+        parentUrl,
+        parentCastId,
+        embeds
+      });
+    } catch (error) {
+      throw this.hubError(error, 'cast');
+    }
+
+    return { hash: submitted.hash, text, post: { hub: this.hubBase } };
+  }
+
+  async delete(signer, hash) {
+    const privateKey = this.requireKey(signer);
+    try {
+      await this.hubClient.deleteCast(signer.fid, privateKey, hash);
+    } catch (error) {
+      throw this.hubError(error, 'cast removal');
+    }
+  }
+
+  async react(signer, { type, target }, { remove = false } = {}) {
+    const privateKey = this.requireKey(signer);
+    try {
+      const { hash } = await this.hubClient.submitReaction(signer.fid, privateKey, { type, target }, { remove });
+      return { messageHash: hash };
+    } catch (error) {
+      throw this.hubError(error, 'reaction');
+    }
+  }
+
+  // The hub takes one LinkAdd/LinkRemove message per target; `onFollowed` is
+  // called after each one so partial progress can be recorded
+  async follow(signer, targetFids, { remove = false, onFollowed = () => {} } = {}) {
+    const privateKey = this.requireKey(signer);
+    for (const targetFid of targetFids) {
+      let hash;
+      try {
+        ({ hash } = await this.hubClient.submitLink(signer.fid, privateKey, { type: 'follow', targetFid }, { remove }));
+      } catch (error) {
+        throw this.hubError(error, `${remove ? 'unfollow' : 'follow'} of FID ${targetFid}`);
+      }
+      onFollowed(targetFid, hash);
+    }
+  }
+
+  // The cast's author, or null if the hub doesn't have it for this FID
+  async findCast(signer, hash) {
+    return (await this.hubClient.getCast(signer.fid, hash)) ? { fid: Number(signer.fid) } : null;
+  }
+}
+
+export default HubProvider;
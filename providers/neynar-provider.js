@@ -0,0 +1,139 @@
+// Neynar provider: publishes through the Neynar API with a Neynar-managed
+// signer. Registered twice, as 'neynar_siwn' (Sign In with Neynar) and
+// 'neynar' (developer-managed signers); both work the same way.
+
+import { CastPublishError, upstreamErrorStatus } from '../cast-utils.js';
+
+class NeynarProvider {
+  // `verifier` is the SignerVerifier used to look signers up
+  constructor(name, neynarClient, verifier) {
+    this.name = name;
+    this.client = neynarClient;
+    this.verifier = verifier;
+  }
+
+  requireClient(action) {
+    if (!this.client) {
+      throw new CastPublishError(500, {
+        error: 'Neynar client not available',
+        note: `Please add NEYNAR_API_KEY to your .env file to enable ${action}.`
+      });
+    }
+    return this.client;
+  }
+
+  // Neynar's rejections of the request (bad request, unknown signer) keep
+  // their status; network errors, Neynar 5xx and auth failures about our API
+  // key are a 502, with Neynar's status in upstreamStatus
+  neynarError(error, action) {
+    const upstreamStatus = error.response ? error.response.status : error.status;
+    const upstreamMessage = error.response && error.response.data && error.response.data.message;
+    console.error(`❌ Neynar ${action} failed:`, upstreamMessage || error.message);
+    return new CastPublishError(upstreamErrorStatus(upstreamStatus), {
+      error: `Failed to ${action} via Neynar`,
+      details: upstreamMessage || error.message,
+      ...(upstreamStatus ? { upstreamStatus } : {})
+    });
+  }
+
+  // Signer state on Neynar. Approved signers that no longer check out are
+  // marked revoked; others just take Neynar's status.
+  async status(signer) {
+    if (!this.client) {
+      return null;
+    }
+
+    const found = await this.verifier.lookup(signer.signerUuid);
+    const state = found ? found.status : 'not_found';
+    let updates = null;
+
+    if (signer.status === 'approved') {
+      const rejection = this.verifier.rejection(found, signer.fid);
+      if (rejection) {
+        updates = { status: 'revoked', revokedAt: new Date().toISOString(), revokedReason: rejection.message };
+      }
+    } else if (found && found.status !== signer.status && signer.status !== 'revoked') {
+      updates = { status: found.status };
+    }
+
+    return { state, ready: state === 'approved' && !updates, details: found, updates };
+  }
+
+  async publish(signer, { text, embeds, parentUrl, parentCastId }) {
+    const client = this.requireClient('posting');
+
+    console.log(`📝 Posting cast with ${this.name} signer...`);
+    console.log('   User FID:', signer.fid);
+    console.log('   Cast text:', text);
+    console.log('   Signer UUID:', signer.signerUuid);
+
+    let cast;
+    try {
+      ({ cast } = await client.publishCast({
+        signerUuid: signer.signerUuid,
+        text,
+        embeds: embeds.length > 0 ? embeds : undefined,
+        parent: parentCastId ? parentCastId.hash : (parentUrl || undefined),
+        parentAuthorFid: parentCastId ? parentCastId.fid : undefined
+      }));
+    } catch (error) {
+      throw this.neynarError(error, 'post cast');
+    }
+
+    return { hash: cast.hash, text: cast.text, post: {} };
+  }
+
+  async delete(signer, hash) {
+    const client = this.requireClient('deleting casts');
+    try {
+      await client.deleteCast({ signerUuid: signer.signerUuid, targetHash: hash });
+    } catch (error) {
+      throw this.neynarError(error, 'delete cast');
+    }
+  }
+
+  async react(signer, { type, target }, { remove = false } = {}) {
+    const client = this.requireClient('reactions');
+    const request = {
+      signerUuid: signer.signerUuid,
+      reactionType: type,
+      target: target.hash,
+      targetAuthorFid: target.fid
+    };
+    try {
+      await (remove ? client.deleteReaction(request) : client.publishReaction(request));
+    } catch (error) {
+      throw this.neynarError(error, `${remove ? 'remove' : 'add'} reaction`);
+    }
+    return { messageHash: null };
+  }
+
+  // Neynar follows a batch of FIDs in one request
+  async follow(signer, targetFids, { remove = false, onFollowed = () => {} } = {}) {
+    const client = this.requireClient('follows');
+    const request = { signerUuid: signer.signerUuid, targetFids };
+    try {
+      await (remove ? client.unfollowUser(request) : client.followUser(request));
+    } catch (error) {
+      throw this.neynarError(error, remove ? 'unfollow' : 'follow');
+    }
+    targetFids.forEach(targetFid => onFollowed(targetFid, null));
+  }
+
+  // The cast's author, or null if Neynar doesn't know the cast
+  async findCast(signer, hash) {
+    const client = this.requireClient('cast lookups');
+    try {
+      const { cast } = await client.lookupCastByHashOrWarpcastUrl({ identifier: hash, type: 'hash' });
+      return { fid: Number(cast.author.fid) };
+    } catch (error) {
+      const status = error.response ? error.response.status : error.status;
+      if (status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+export default NeynarProvider;
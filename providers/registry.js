@@ -0,0 +1,94 @@
+// 🔌 Casting providers
+// A provider publishes, deletes, reacts and follows for one kind of signer,
+// and reports that signer's status. Providers are registered under the name
+// stored in signer.provider, so a new backend is a new class plus one
+// registerProvider() call; the routes don't change.
+//
+// Provider interface (all async):
+//   publish(signer, castRequest)            -> { hash, text, post } (post: extra fields to save)
+//   delete(signer, hash)
+//   react(signer, { type, target }, { remove }) -> { messageHash }
+//   follow(signer, targetFids, { remove, onFollowed(targetFid, messageHash) })
+//   status(signer)                          -> { state, ready, details, updates } or null
+//   findCast(signer, hash)                  -> { fid } or null
+// Failures throw CastPublishError.
+
+import { CastPublishError, isTransientPublishError } from '../cast-utils.js';
+
+// When the signer's provider fails, whether to retry with another signer of
+// the same account that uses a different provider:
+//   off      - never
+//   upstream - only when the failure may be transient (see isTransientPublishError)
+//   always   - on any failure, including 4xx such as an unapproved signer
+export const FAILOVER_POLICIES = ['off', 'upstream', 'always'];
+
+const providers = new Map();
+
+export function registerProvider(provider, name = provider.name) {
+  providers.set(name, provider);
+  return provider;
+}
+
+export function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new CastPublishError(400, { error: `Unknown signer provider "${name}"` });
+  }
+  return provider;
+}
+
+export function listProviders() {
+  return [...providers.keys()];
+}
+
+export function failoverPolicy() {
+  const policy = (process.env.PROVIDER_FAILOVER || 'upstream').toLowerCase();
+  if (!FAILOVER_POLICIES.includes(policy)) {
+    throw new Error(`Unknown PROVIDER_FAILOVER "${policy}" (expected: ${FAILOVER_POLICIES.join(', ')})`);
+  }
+  return policy;
+}
+
+function shouldFailOver(error, policy) {
+  if (policy === 'always') {
+    return true;
+  }
+  return policy === 'upstream' && isTransientPublishError(error);
+}
+
+// Run `action(provider, signer)` with the signer's provider. If that fails
+// and the policy allows it, try each of `alternates` (other signers of the
+// same account) whose provider differs, in order. Resolves with
+// { result, signer, failover }: the signer that succeeded, and
+// { from, error } when it wasn't the first one.
+export async function withFailover(signer, action, { alternates = [], policy = failoverPolicy() } = {}) {
+  try {
+    return { result: await action(getProvider(signer.provider), signer), signer, failover: null };
+  } catch (error) {
+    if (!shouldFailOver(error, policy)) {
+      throw error;
+    }
+
+    const tried = new Set([signer.provider]);
+    for (const alternate of alternates) {
+      if (tried.has(alternate.provider) || !providers.has(alternate.provider)) {
+        continue;
+      }
+      tried.add(alternate.provider);
+
+      console.log(`🔀 ${signer.provider} failed (${error.message}); trying ${alternate.provider}`);
+      try {
+        const result = await action(getProvider(alternate.provider), alternate);
+        return {
+          result,
+          signer: alternate,
+          failover: { from: signer.provider, error: error.body || { error: error.message } }
+        };
+      } catch (alternateError) {
+        console.log(`❌ Failover to ${alternate.provider} failed:`, alternateError.message);
+      }
+    }
+
+    throw error;
+  }
+}
@@ -0,0 +1,155 @@
+// 🚦 Rate Limiter
+// Token buckets per route, kept separately per client IP, per FID and per
+// signer. A request has to fit in every bucket that applies to it, so one busy
+// account can't use up the budget of everyone else behind the same NAT IP.
+//
+// Budgets are requests per minute. RATE_LIMITS overrides them as JSON, e.g.
+//   RATE_LIMITS={"default":{"ip":300},"cast":{"fid":20}}
+
+export const RATE_LIMIT_SCOPES = ['ip', 'fid', 'signer'];
+
+// Scopes a route leaves out fall back to `default`
+export const DEFAULT_BUDGETS = {
+  default: { ip: 120, fid: 30, signer: 30 },
+  signer: { ip: 10, fid: 5 },
+  cast: { fid: 10, signer: 10 },
+  delete: { fid: 20, signer: 20 },
+  reaction: { fid: 60, signer: 60 },
+  follow: { fid: 30, signer: 30 },
+  schedule: { fid: 20, signer: 20 },
+  media: { fid: 20, signer: 20 },
+  import: { fid: 5, signer: 5 }
+};
+
+const WINDOW_MS = 60 * 1000;
+
+function parseBudgets(value) {
+  if (!value) {
+    return {};
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`RATE_LIMITS must be JSON like {"cast":{"fid":20}}: ${error.message}`);
+  }
+
+  for (const [route, budget] of Object.entries(overrides)) {
+    for (const [scope, limit] of Object.entries(budget || {})) {
+      if (!RATE_LIMIT_SCOPES.includes(scope) || !Number.isInteger(limit) || limit <= 0) {
+        throw new Error(`RATE_LIMITS.${route}.${scope} must be a positive integer for one of: ${RATE_LIMIT_SCOPES.join(', ')}`);
+      }
+    }
+  }
+  return overrides;
+}
+
+class RateLimiter {
+  constructor(options = {}) {
+    const overrides = options.budgets || parseBudgets(process.env.RATE_LIMITS);
+    this.budgets = {};
+    for (const route of new Set([...Object.keys(DEFAULT_BUDGETS), ...Object.keys(overrides)])) {
+      this.budgets[route] = { ...DEFAULT_BUDGETS[route], ...overrides[route] };
+    }
+    this.sweepIntervalMs = options.sweepIntervalMs || WINDOW_MS;
+    this.buckets = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Per-minute limit for a route and scope
+  limitFor(route, scope) {
+    const budget = this.budgets[route] || {};
+    return budget[scope] || this.budgets.default[scope];
+  }
+
+  // Top a bucket up for the time since it was last used
+  refill(key, limit, now) {
+    const bucket = this.buckets.get(key) || { tokens: limit, updatedAt: now };
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * limit / WINDOW_MS);
+    bucket.updatedAt = now;
+    bucket.limit = limit;
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  // Take one token from each bucket for `identities` ({ ip, fid, signer };
+  // missing ones are skipped). Nothing is taken unless every bucket has a
+  // token. Returns { allowed, limit, remaining, resetMs, retryAfterMs } for
+  // the tightest bucket.
+  consume(route, identities, now = Date.now()) {
+    const buckets = RATE_LIMIT_SCOPES
+      .filter(scope => identities[scope] !== undefined && identities[scope] !== null)
+      .map(scope => this.refill(`${route}:${scope}:${identities[scope]}`, this.limitFor(route, scope), now));
+
+    const allowed = buckets.every(bucket => bucket.tokens >= 1);
+    if (allowed) {
+      buckets.forEach(bucket => { bucket.tokens -= 1; });
+    }
+
+    const tightest = buckets.reduce((a, b) => (b.tokens / b.limit < a.tokens / a.limit ? b : a));
+    const msPerToken = WINDOW_MS / tightest.limit;
+    return {
+      allowed,
+      limit: tightest.limit,
+      remaining: Math.floor(tightest.tokens),
+      resetMs: Math.ceil((tightest.limit - tightest.tokens) * msPerToken),
+      retryAfterMs: allowed ? 0 : Math.max(...buckets.map(bucket =>
+        bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) * WINDOW_MS / bucket.limit)
+      ))
+    };
+  }
+
+  // Drop buckets that have been idle long enough to be full again; a new
+  // bucket starts full, so forgetting them changes nothing
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.limit / WINDOW_MS >= bucket.limit) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  // Express middleware for a route. The FID and signer come from the browser
+  // session (so put it after requireAccount), or from the body for routes
+  // that create one.
+  middleware(route) {
+    return (req, res, next) => {
+      const session = req.browserSession;
+      const body = req.body || {};
+      const fid = session ? session.fid : parseInt(body.fid);
+      const result = this.consume(route, {
+        ip: req.ip || req.connection.remoteAddress,
+        fid: Number.isInteger(fid) && fid > 0 ? fid : null,
+        signer: session ? session.signerUuid : null
+      });
+
+      res.set({
+        'X-RateLimit-Limit': String(result.limit),
+        'X-RateLimit-Remaining': String(result.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+      });
+
+      if (!result.allowed) {
+        const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Rate limit exceeded. Please try again later.',
+          retryAfter
+        });
+      }
+      next();
+    };
+  }
+}
+
+export default RateLimiter;
@@ -19,7 +19,10 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use(express.static(__dirname));
+// Only index.html is served from the project folder (see the '/' route); serving
+// the whole folder would expose database/ and the source
+// Uploaded media is content-addressed, so it can be cached forever
+app.use('/media', express.static(mediaDir(), { immutable: true, maxAge: '1y' }));
 
 // Initialize Neynar client (if API key is available) - now as fallback
 let neynarClient = null;
@@ -27,6 +30,8 @@ if (process.env.NEYNAR_API_KEY) {
   try {
     const config = new Configuration({
       apiKey: process.env.NEYNAR_API_KEY,
+      // Point at a stand-in server to run without the real API
+      basePath: process.env.NEYNAR_API_BASE || undefined,
     });
     neynarClient = new NeynarAPIClient(config);
     console.log('✅ Neynar client initialized (available as fallback)');
@@ -36,416 +41,2018 @@ if (process.env.NEYNAR_API_KEY) {
 }
 
 // Import database functions
-import { saveUser, savePost, saveSession, getSession, updateSession, deleteSession, getDatabaseStats } from './database/db.js';
+import {
+  saveUser, getUser, getUserByUsername, searchUsers, savePost, getPost, getPostsByUser, queryPosts, getPostByHash, updatePost,
+  updatePostById, getOutboxEntry, listOutboxEntries, getWebhook, listWebhooks, getWebhookDelivery, listWebhookDeliveries,
+  getScheduledCast, listScheduledCasts, saveThread, getThread,
+  reactionId, saveReaction, getReaction, listReactions, linkId, saveLink, getLink, listLinks,
+  saveSession, getSession, getAllSessions, updateSession, deleteSession, cleanupOldSessions,
+  saveChannels, getChannel, getChannelByUrl, saveUserChannels, getUserChannels,
+  getDatabaseStats
+} from './database/db.js';
+import { isEncryptionConfigured } from './database/encryption.js';
+import { mediaDir, MEDIA_TYPES, MAX_MEDIA_BYTES, detectMediaType, saveMedia } from './database/media.js';
+import { ARCHIVE_FORMATS, ARCHIVE_CONTENT_TYPES, exportPosts, parseArchive, importPosts } from './database/archive.js';
+import FarcasterHubClient from './farcaster-hub.js';
+import HubProvider from './providers/hub-provider.js';
+import NeynarProvider from './providers/neynar-provider.js';
+import { registerProvider, getProvider, withFailover, failoverPolicy } from './providers/registry.js';
+import CastScheduler from './cast-scheduler.js';
+import CastOutbox, { OUTBOX_STATUSES } from './cast-outbox.js';
+import RateLimiter from './rate-limiter.js';
+import IdempotencyKeys from './idempotency.js';
+import WebhookDispatcher, { WEBHOOK_EVENTS, DELIVERY_STATUSES, toPublicWebhook } from './webhooks.js';
+import SignerVerifier, { SignerVerificationError } from './signer-verifier.js';
+import SignerApprovalWatcher from './signer-approval-watcher.js';
+import { issueSession, getRequestSession, endSession, requireSession } from './browser-sessions.js';
+import {
+  CastValidationError, CastPublishError, MAX_EMBEDS, MAX_MENTIONS, MAX_CAST_LENGTH, castByteLength, splitIntoThread,
+  normalizeEmbeds, normalizeChannelId, parseCastId, parseCastHash, parseCastUrl, findMentions
+} from './cast-utils.js';
 
-// Store active signers in memory (in production, use a database)
+// Outgoing webhooks for cast and signer lifecycle events
+const webhooks = new WebhookDispatcher();
+
+// Signer registry: an in-memory cache in front of database/sessions
 const activeSigners = new Map();
 
-// Simple rate limiting
-const rateLimit = new Map();
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const MAX_REQUESTS_PER_WINDOW = 10;
+// Look up a signer, falling back to the session store when it isn't cached
+function getSigner(signerUuid) {
+  if (activeSigners.has(signerUuid)) {
+    return activeSigners.get(signerUuid);
+  }
+
+  // Session files are keyed by UUID; refuse anything that could escape the directory
+  if (typeof signerUuid !== 'string' || !/^[\w-]+$/.test(signerUuid)) {
+    return null;
+  }
+
+  const session = getSession(signerUuid);
+  if (session) {
+    activeSigners.set(signerUuid, session);
+  }
+  return session;
+}
+
+// Store a new signer in memory and on disk
+function storeSigner(signerInfo) {
+  const previous = activeSigners.get(signerInfo.signerUuid);
+  activeSigners.set(signerInfo.signerUuid, signerInfo);
+  saveSession(signerInfo);
+  emitSignerChange(previous, signerInfo);
+  return signerInfo;
+}
+
+// Apply a status change to both memory and disk so they never drift apart
+function updateSigner(signerUuid, updates) {
+  const current = getSigner(signerUuid);
+  if (!current) {
+    return null;
+  }
+
+  const signerInfo = { ...current, ...updates, updatedAt: new Date() };
+  activeSigners.set(signerUuid, signerInfo);
+  if (!updateSession(signerUuid, signerInfo)) {
+    saveSession(signerInfo);
+  }
+  emitSignerChange(current, signerInfo);
+  return signerInfo;
+}
+
+// Remove abandoned signers (see cleanupOldSessions) from disk and memory.
+// Leaving them cached would let the next update write them back.
+function removeAbandonedSigners() {
+  const removed = cleanupOldSessions();
+  removed.forEach(signerUuid => activeSigners.delete(signerUuid));
+  if (removed.length > 0) {
+    console.log(`🧹 Removed ${removed.length} abandoned signer(s)`);
+  }
+}
+
+setInterval(removeAbandonedSigners, 60 * 60 * 1000);
+
+// Tell webhooks when a signer becomes ready to cast or is revoked. Direct
+// signers go approved -> completed; that's one approval, not two.
+function emitSignerChange(previous, signer) {
+  const isReady = status => status === 'approved' || status === 'completed';
+  const data = {
+    signer: {
+      signerUuid: signer.signerUuid,
+      fid: signer.fid,
+      provider: signer.provider,
+      status: signer.status,
+      ...(signer.revokedReason ? { revokedReason: signer.revokedReason } : {})
+    }
+  };
+
+  if (isReady(signer.status) && !(previous && isReady(previous.status))) {
+    webhooks.emit('signer.approved', data);
+  } else if (signer.status === 'revoked' && !(previous && previous.status === 'revoked')) {
+    webhooks.emit('signer.revoked', data);
+  }
+}
+
+// Rehydrate the registry from persisted sessions so restarts keep users signed in
+function loadPersistedSigners() {
+  const sessions = getAllSessions();
+  for (const session of sessions) {
+    activeSigners.set(session.signerUuid, session);
+  }
+  console.log(`🔄 Restored ${sessions.length} signer session(s) from database`);
+}
+
+loadPersistedSigners();
+
+// Neynar signers are verified before they're stored and re-checked periodically
+const signerVerifier = new SignerVerifier(neynarClient, {
+  listSigners: () => [...activeSigners.values()],
+  onRevoked: (signer, reason) => {
+    console.log(`🚫 Signer ${signer.signerUuid} marked revoked: ${reason}`);
+    updateSigner(signer.signerUuid, { status: 'revoked', revokedAt: new Date().toISOString(), revokedReason: reason });
+  }
+});
+
+// Per-route token buckets for write routes, per IP, FID and signer
+const rateLimiter = new RateLimiter();
+const idempotencyKeys = new IdempotencyKeys();
 
 // Farcaster API configuration - PRIMARY METHOD
 const FARCASTER_API_BASE = 'https://api.farcaster.xyz';
-const FARCASTER_HUB_BASE = 'https://nemes.farcaster.xyz:2281'; // Public hub
+const FARCASTER_HUB_BASE = process.env.FARCASTER_HUB_BASE || 'https://nemes.farcaster.xyz:2281'; // Public hub by default
+const hubClient = new FarcasterHubClient(FARCASTER_HUB_BASE);
+
+// Casting providers, registered under the names stored in signer.provider
+registerProvider(new NeynarProvider('neynar_siwn', neynarClient, signerVerifier));
+registerProvider(new NeynarProvider('neynar', neynarClient, signerVerifier));
+registerProvider(new HubProvider(hubClient, FARCASTER_HUB_BASE));
+console.log(`🔀 Provider failover: ${failoverPolicy()}`);
+
+// Channel metadata rarely changes; follow lists change more often
+const CHANNEL_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const USER_CHANNELS_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const USER_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Routes
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// Strip secret material before a signer goes back to the client
+function toPublicSigner(signer) {
+  const { keypair, ...publicSigner } = signer;
+  return publicSigner;
+}
+
+// Routes that act for an account: the session's signer must be approved, and
+// the account is the one that signer belongs to, read from the stored signer
+// on every request. The FID a browser asked for when it started connecting
+// proves nothing until that account approves the signer. Sets
+// req.browserSession like requireSession, with that FID.
+function requireAccount(req, res, next) {
+  requireSession(req, res, () => {
+    const signer = getSigner(req.browserSession.signerUuid);
+    if (!signer) {
+      return res.status(401).json({
+        error: 'Not signed in',
+        note: 'The signer for this session no longer exists. Connect your Farcaster account again.'
+      });
+    }
+    if (signer.status !== 'approved' && signer.status !== 'completed') {
+      return res.status(403).json({
+        error: 'Signer not approved yet. Please complete the approval process first.',
+        status: signer.status
+      });
+    }
+    req.browserSession = { ...req.browserSession, fid: Number(signer.fid) };
+    next();
+  });
+}
+
+// The signer a write request acts as: the one bound to its browser session.
+// A signerUuid in the request must match it.
+function sessionSignerUuid(req, requested) {
+  const bound = req.browserSession.signerUuid;
+  if (requested && requested !== bound) {
+    throw new CastPublishError(403, { error: 'This session is not signed in as that signer' });
+  }
+  return bound;
+}
+
+// Send a new session with a signer-connect response. The token goes in the
+// body only when asked for (issueToken: true), for clients without cookies.
+function withSession(req, res, signer, body) {
+  const session = issueSession(req, res, signer);
+  return {
+    ...body,
+    session: {
+      expiresAt: session.expiresAt,
+      token: req.body.issueToken === true ? session.token : undefined
+    }
+  };
+}
+
+// Resolve a username to its FID - direct API first, Neynar as fallback
+async function lookupFidByUsername(username) {
+  const cached = getUserByUsername(username);
+  if (cached && isFresh(cached, USER_CACHE_TTL)) {
+    return cached.fid;
+  }
+
+  try {
+    const response = await fetch(`${FARCASTER_API_BASE}/v2/user-by-username?username=${encodeURIComponent(username)}`);
+    if (response.ok) {
+      const data = await response.json();
+      if (data.result && data.result.user) {
+        saveUser(data.result.user);
+        return data.result.user.fid;
+      }
+    }
+  } catch (directApiError) {
+    console.log('Direct API username lookup failed:', directApiError.message);
+  }
+
+  if (neynarClient) {
+    try {
+      const { user } = await neynarClient.lookupUserByUsername({ username });
+      if (user) {
+        saveUser(user);
+        return user.fid;
+      }
+    } catch (neynarError) {
+      console.log('Neynar username lookup failed:', neynarError.message);
+    }
+  }
+
+  // Usernames rarely change hands; a stale cache entry beats failing outright
+  return cached ? cached.fid : null;
+}
+
+// Resolve every @username in text to { username, fid }. Unknown names are a
+// validation error so the caller learns which token failed.
+async function resolveMentions(text, { maxMentions = MAX_MENTIONS } = {}) {
+  const usernames = [...new Set(findMentions(text).map(mention => mention.username))];
+  if (usernames.length > maxMentions) {
+    throw new CastValidationError(`A cast can mention at most ${maxMentions} users`, 'text');
+  }
+
+  const mentions = [];
+  for (const username of usernames) {
+    const fid = await lookupFidByUsername(username);
+    if (!fid) {
+      throw new CastValidationError(`Unknown user in mention: @${username}`, 'text');
+    }
+    mentions.push({ username, fid: parseInt(fid) });
+  }
+  return mentions;
+}
+
+// Turn a cast reference - { fid, hash }, a bare hash or a Warpcast URL - into { fid, hash }
+async function resolveCastReference(value, field) {
+  if (typeof value !== 'string') {
+    return parseCastId(value, field);
+  }
+
+  // A bare hash needs its author: from our own posts, else from Neynar
+  if (/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    const hash = parseCastHash(value, field);
+    const post = getPostByHash(hash);
+    if (post && post.fid) {
+      return { fid: parseInt(post.fid), hash };
+    }
+    if (neynarClient) {
+      try {
+        const { cast } = await neynarClient.lookupCastByHashOrWarpcastUrl({ identifier: hash, type: 'hash' });
+        return { fid: cast.author.fid, hash: cast.hash };
+      } catch (neynarError) {
+        console.log('Neynar cast lookup failed:', neynarError.message);
+      }
+    }
+    throw new CastValidationError(`${field} could not be resolved to a cast; pass { fid, hash } instead`, field);
+  }
+
+  const parsed = parseCastUrl(value, field);
+
+  if (parsed.isFullHash) {
+    const fid = await lookupFidByUsername(parsed.username);
+    if (fid) {
+      return { fid: parseInt(fid), hash: parsed.hash };
+    }
+  }
+
+  // Shortened hashes (and unknown usernames) need a full cast lookup
+  if (neynarClient) {
+    try {
+      const { cast } = await neynarClient.lookupCastByHashOrWarpcastUrl({
+        identifier: parsed.url,
+        type: 'url'
+      });
+      return { fid: cast.author.fid, hash: cast.hash };
+    } catch (neynarError) {
+      console.log('Neynar cast lookup failed:', neynarError.message);
+    }
+  }
+
+  throw new CastValidationError(`${field} could not be resolved to a cast`, field);
+}
+
+// Keep one channel shape regardless of which API it came from
+function toChannelRecord(channel) {
+  return {
+    id: channel.id,
+    url: channel.url || channel.parent_url,
+    name: channel.name || channel.id,
+    description: channel.description || '',
+    imageUrl: channel.imageUrl || channel.image_url || null,
+    followerCount: channel.followerCount ?? channel.follower_count ?? null
+  };
+}
+
+function isFresh(record, ttl) {
+  return !!record && !!record.updatedAt && Date.now() - new Date(record.updatedAt).getTime() < ttl;
+}
+
+// Resolve a channel id to its metadata and parent URL - cache, then direct API, then Neynar
+async function lookupChannel(channelId) {
+  const cached = getChannel(channelId);
+  if (isFresh(cached, CHANNEL_CACHE_TTL)) {
+    return cached;
+  }
+
+  try {
+    const response = await fetch(`${FARCASTER_API_BASE}/v2/all-channels`);
+    if (response.ok) {
+      const data = await response.json();
+      const channels = (data.result?.channels || []).map(toChannelRecord);
+      saveChannels(channels);
+
+      const channel = channels.find(c => c.id === channelId);
+      if (channel) {
+        return channel;
+      }
+    }
+  } catch (directApiError) {
+    console.log('Direct API channel lookup failed:', directApiError.message);
+  }
+
+  if (neynarClient) {
+    try {
+      const { channel } = await neynarClient.lookupChannel({ id: channelId });
+      if (channel) {
+        const record = toChannelRecord(channel);
+        saveChannels([record]);
+        return record;
+      }
+    } catch (neynarError) {
+      console.log('Neynar channel lookup failed:', neynarError.message);
+    }
+  }
+
+  // A stale cache entry beats no answer at all
+  return cached;
+}
+
+// Channels a user follows - cache, then direct API, then Neynar
+async function fetchFollowedChannels(fid) {
+  const cached = getUserChannels(fid);
+  if (isFresh(cached, USER_CHANNELS_CACHE_TTL)) {
+    return cached.channelIds.map(getChannel).filter(Boolean);
+  }
+
+  let channels = null;
+
+  try {
+    const response = await fetch(`${FARCASTER_API_BASE}/v1/user-following-channels?fid=${fid}`);
+    if (response.ok) {
+      const data = await response.json();
+      if (data.result && Array.isArray(data.result.channels)) {
+        channels = data.result.channels.map(toChannelRecord);
+      }
+    }
+  } catch (directApiError) {
+    console.log('Direct API followed channels failed:', directApiError.message);
+  }
+
+  if (!channels && neynarClient) {
+    try {
+      const response = await neynarClient.fetchUserChannels({ fid, limit: 100 });
+      channels = (response.channels || []).map(toChannelRecord);
+    } catch (neynarError) {
+      console.log('Neynar followed channels failed:', neynarError.message);
+    }
+  }
+
+  if (!channels) {
+    return cached ? cached.channelIds.map(getChannel).filter(Boolean) : [];
+  }
+
+  saveChannels(channels);
+  saveUserChannels(fid, channels.map(c => c.id));
+  return channels;
+}
+
+// Channels a user has posted in through this app, from local post history
+function findPostedChannels(fid) {
+  const urls = new Set(
+    getPostsByUser(fid, 1000)
+      .map(post => post.parentUrl)
+      .filter(Boolean)
+  );
+  return [...urls].map(getChannelByUrl).filter(Boolean);
+}
+
+// Create a new signer for a user (SIWN flow)
+app.post('/api/create-signer', rateLimiter.middleware('signer'), async (req, res) => {
+  try {
+    const { fid, signerUuid } = req.body;
+    
+    if (!fid || !signerUuid) {
+      return res.status(400).json({ 
+        error: 'FID and signerUuid are required for SIWN flow' 
+      });
+    }
+
+    const fidNum = parseInt(fid);
+    if (!Number.isInteger(fidNum) || fidNum <= 0) {
+      return res.status(400).json({ error: 'FID must be a positive integer' });
+    }
+    if (typeof signerUuid !== 'string' || !/^[\w-]+$/.test(signerUuid)) {
+      return res.status(400).json({ error: 'signerUuid is not a valid signer UUID' });
+    }
+    
+    console.log('✅ SIWN signer received for FID:', fidNum);
+
+    // The client's word isn't enough: Neynar must confirm the signer is
+    // approved and belongs to this FID
+    const verified = await signerVerifier.verify(signerUuid, fidNum);
+    
+    const signerInfo = {
+      signerUuid: signerUuid,
+      status: 'approved',
+      fid: fidNum,
+      publicKey: verified.publicKey,
+      createdAt: new Date(),
+      verifiedAt: new Date().toISOString(),
+      provider: 'neynar_siwn'
+    };
+    
+    storeSigner(signerInfo);
+    
+    console.log('✅ SIWN signer stored successfully');
+    
+    res.json(withSession(req, res, signerInfo, {
+      success: true,
+      signer: signerInfo,
+      provider: 'neynar_siwn',
+      message: 'SIWN signer connected successfully! Ready to cast.',
+      note: 'Sign In with Neynar handles all authentication automatically'
+    }));
+
+  } catch (error) {
+    if (error instanceof SignerVerificationError) {
+      console.log('🚫 SIWN signer rejected:', error.message);
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error creating SIWN signer:', error);
+    res.status(500).json({ 
+      error: 'Failed to create SIWN signer',
+      details: error.message 
+    });
+  }
+});
+
+// Create a signed key request for `fid` with a fresh Ed25519 keypair.
+// Resolves with the signer fields it sets; throws CastPublishError when
+// direct signing isn't configured or the Farcaster client API refuses.
+async function createSignedKeyRequest(fid) {
+  const { default: FarcasterSignerManager } = await import('./farcaster-signer.js');
+  const signerManager = new FarcasterSignerManager();
+
+  const envStatus = signerManager.getEnvironmentStatus();
+  if (!envStatus.ready) {
+    throw new CastPublishError(503, {
+      error: 'Direct Farcaster signing is not configured',
+      missing: envStatus.missing,
+      note: 'Add APP_FID and APP_MNEMONIC to your .env file to enable Ed25519 signers.'
+    });
+  }
+
+  // Private keys are only ever stored encrypted
+  if (!isEncryptionConfigured()) {
+    throw new CastPublishError(503, {
+      error: 'Signer key encryption is not configured',
+      missing: ['SESSION_MASTER_KEY'],
+      note: 'Add SESSION_MASTER_KEY to your .env file before creating Ed25519 signers.'
+    });
+  }
+
+  const setup = await signerManager.setupUserSigner(fid);
+  if (!setup.success) {
+    throw new CastPublishError(502, {
+      error: 'Failed to create signed key request',
+      details: setup.error
+    });
+  }
+
+  return {
+    publicKey: setup.keypair.publicKey,
+    status: setup.state,
+    approvalUrl: setup.approvalUrl,
+    token: setup.token,
+    deadline: setup.deadline,
+    keypair: {
+      privateKey: setup.keypair.privateKey,
+      publicKey: setup.keypair.publicKey
+    }
+  };
+}
+
+// A direct signer's request can only be approved until its deadline (unix
+// seconds, set when the request is signed). Neynar signers don't have one.
+function signerRequestDeadline(signer) {
+  if (!signer.deadline) {
+    return { deadline: null, expired: false };
+  }
+  const waiting = signer.status === 'pending' || signer.status === 'expired';
+  return {
+    deadline: new Date(signer.deadline * 1000).toISOString(),
+    expired: waiting && signer.deadline * 1000 <= Date.now()
+  };
+}
+
+// What a client needs to show a direct signer's approval QR code
+async function directSignerApproval(signer) {
+  return {
+    signerUuid: signer.signerUuid,
+    approvalUrl: signer.approvalUrl,
+    qrCode: await qrcode.toDataURL(signer.approvalUrl),
+    deadline: signerRequestDeadline(signer).deadline,
+    provider: 'direct_farcaster'
+  };
+}
+
+// Create a new Ed25519 signer for a user (direct Farcaster flow)
+app.post('/api/create-direct-signer', rateLimiter.middleware('signer'), async (req, res) => {
+  try {
+    const { fid } = req.body;
+
+    if (!fid) {
+      return res.status(400).json({ error: 'FID is required' });
+    }
+
+    const fidNum = parseInt(fid);
+    if (!Number.isInteger(fidNum) || fidNum <= 0) {
+      return res.status(400).json({ error: 'FID must be a positive integer' });
+    }
+
+    const signerInfo = {
+      signerUuid: crypto.randomUUID(),
+      fid: fidNum,
+      createdAt: new Date(),
+      provider: 'direct_farcaster',
+      ...(await createSignedKeyRequest(fidNum))
+    };
+
+    storeSigner(signerInfo);
+
+    console.log('✅ Direct signer request created for FID:', fidNum);
+
+    res.json(withSession(req, res, signerInfo, {
+      success: true,
+      signer: toPublicSigner(signerInfo),
+      ...(await directSignerApproval(signerInfo)),
+      message: '🔐 Scan the QR code in your Farcaster app to approve this signer'
+    }));
+
+  } catch (error) {
+    sendCastError(res, error, 'Failed to create direct signer');
+  }
+});
+
+// Re-issue an expired signed key request: a fresh keypair and request for
+// the same signer and FID. Needs the session its creation issued.
+app.post('/api/reissue-signer/:signerUuid', requireSession, rateLimiter.middleware('signer'), async (req, res) => {
+  try {
+    const signerUuid = sessionSignerUuid(req, req.params.signerUuid);
+    const signer = getSigner(signerUuid);
+    if (!signer) {
+      return res.status(404).json({ error: 'Signer not found' });
+    }
+    if (signer.provider !== 'direct_farcaster') {
+      throw new CastValidationError('Only direct Farcaster signer requests can be re-issued', 'signerUuid');
+    }
+
+    const { deadline, expired } = signerRequestDeadline(signer);
+    if (!expired) {
+      throw new CastPublishError(409, {
+        error: 'This signer request has not expired',
+        status: signer.status,
+        deadline
+      });
+    }
+
+    const reissued = updateSigner(signerUuid, {
+      ...(await createSignedKeyRequest(signer.fid)),
+      reissuedAt: new Date().toISOString(),
+      reissueCount: (signer.reissueCount || 0) + 1
+    });
+
+    console.log('🔁 Direct signer request re-issued for FID:', signer.fid);
+
+    res.json({
+      success: true,
+      signer: toPublicSigner(reissued),
+      ...(await directSignerApproval(reissued)),
+      message: '🔐 Scan the new QR code in your Farcaster app to approve this signer'
+    });
+
+  } catch (error) {
+    sendCastError(res, error, 'Failed to re-issue signer request');
+  }
+});
+
+// The signer this browser is signed in as, if any
+app.get('/api/session', (req, res) => {
+  const session = getRequestSession(req);
+  const signer = session ? getSigner(session.signerUuid) : null;
+  if (!signer) {
+    return res.json({ success: true, authenticated: false });
+  }
+  res.json({
+    success: true,
+    authenticated: true,
+    signer: toPublicSigner(signer),
+    expiresAt: session.expiresAt
+  });
+});
+
+// Sign out: invalidates the session token and clears the cookie
+app.post('/api/logout', (req, res) => {
+  const hadSession = endSession(req, res);
+  res.json({ success: true, loggedOut: hadSession });
+});
+
+// Ask a signer's provider for its real-time status and store what changed.
+// Resolves with { signer, realStatus }; realStatus is null if the provider
+// can't tell.
+async function refreshSignerStatus(signer) {
+  const realStatus = await getProvider(signer.provider).status(signer);
+  if (realStatus && realStatus.updates) {
+    signer = updateSigner(signer.signerUuid, realStatus.updates);
+  }
+  return { signer, realStatus };
+}
+
+// One upstream poller per signed key request, shared by every open stream
+const approvalWatcher = new SignerApprovalWatcher(async signer => {
+  const { realStatus } = await refreshSignerStatus(getSigner(signer.signerUuid) || signer);
+  return realStatus;
+});
+
+// The deadline fields of a status response, with how to re-issue an expired
+// request
+function signerRequestStatus(signer) {
+  const { deadline, expired } = signerRequestDeadline(signer);
+  return {
+    deadline,
+    expired,
+    ...(expired ? { reissue: `POST /api/reissue-signer/${signer.signerUuid}` } : {})
+  };
+}
+
+app.get('/api/signer-status/:signerUuid', async (req, res) => {
+  try {
+    const { signerUuid } = req.params;
+    let signer = getSigner(signerUuid);
+    
+    if (!signer) {
+      return res.status(404).json({ error: 'Signer not found' });
+    }
+
+    // Ask the signer's provider for its real-time status
+    try {
+      const refreshed = await refreshSignerStatus(signer);
+      const { realStatus } = refreshed;
+      signer = refreshed.signer;
+      if (realStatus) {
+        return res.json({
+          success: true,
+          signer: toPublicSigner(signer),
+          status: signer.status,
+          provider: signer.provider,
+          ...signerRequestStatus(signer),
+          realTimeStatus: realStatus.details,
+          message: realStatus.ready ?
+            '🎉 Signer approved and ready for casting!' :
+            `Signer status: ${realStatus.state}`
+        });
+      }
+    } catch (statusError) {
+      console.error('Error checking real-time signer status:', statusError);
+      // Fall back to stored status
+    }
+
+    // Return stored status for other cases
+    res.json({
+      success: true,
+      signer: toPublicSigner(signer),
+      status: signer.status,
+      provider: signer.provider,
+      ...signerRequestStatus(signer)
+    });
+
+  } catch (error) {
+    console.error('Error checking signer status:', error);
+    res.status(500).json({ 
+      error: 'Failed to check signer status',
+      details: error.message 
+    });
+  }
+});
+
+// Stream a signer's approval state as Server-Sent Events instead of polling
+// /api/signer-status: a 'state' event ({ signerUuid, state, ready, final })
+// now and on every change, then 'end' once the state is final
+app.get('/api/signer-status/:signerUuid/stream', (req, res) => {
+  const signer = getSigner(req.params.signerUuid);
+  if (!signer) {
+    return res.status(404).json({ error: 'Signer not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const finish = state => {
+    send('end', { signerUuid: signer.signerUuid, state });
+    res.end();
+  };
+
+  // Nothing left to wait for
+  if (signer.status === 'revoked' || signerRequestDeadline(signer).expired) {
+    const state = signer.status === 'revoked' ? 'revoked' : 'expired';
+    send('state', { signerUuid: signer.signerUuid, state, ready: false, final: true, at: new Date().toISOString() });
+    return finish(state);
+  }
+
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  let unwatch = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    if (unwatch) {
+      unwatch();
+    }
+  };
+
+  unwatch = approvalWatcher.watch(signer, event => {
+    send('state', event);
+    if (event.final) {
+      close();
+      finish(event.state);
+    }
+  });
+  req.on('close', close);
+});
+
+// Validate a cast request body and resolve its references (replies, quotes,
+// channels, @mentions) into { text, embeds, parentUrl, parentCastId, mentions }.
+// Thread requests pass allowLongText since their text is split afterwards.
+async function buildCastRequest(body, { allowLongText = false } = {}) {
+  const text = body.text || '';
+  let parentUrl = body.parentUrl || null;
+  let parentCastId = null;
+
+  if (typeof text !== 'string') {
+    throw new CastValidationError('text must be a string', 'text');
+  }
+
+  const embeds = normalizeEmbeds(body.embeds);
+
+  // Replies: a cast can have a parent cast or a parent URL, not both
+  if (body.parentCastId) {
+    if (parentUrl) {
+      throw new CastValidationError('Use either parentCastId or parentUrl, not both', 'parentCastId');
+    }
+    parentCastId = await resolveCastReference(body.parentCastId, 'parentCastId');
+  }
+
+  // Channel casts are parent URL casts; resolve the id for the caller
+  if (body.channelId) {
+    if (parentUrl || parentCastId) {
+      throw new CastValidationError('channelId cannot be combined with parentUrl or parentCastId', 'channelId');
+    }
+    const channelId = normalizeChannelId(body.channelId);
+    const channel = await lookupChannel(channelId);
+    if (!channel || !channel.url) {
+      throw new CastValidationError(`Unknown channel: /${channelId}`, 'channelId');
+    }
+    parentUrl = channel.url;
+  }
+
+  // Quote casts are cast embeds
+  if (body.quoteCastId) {
+    if (embeds.length >= MAX_EMBEDS) {
+      throw new CastValidationError(`A cast can have at most ${MAX_EMBEDS} embeds, including the quoted cast`, 'quoteCastId');
+    }
+    embeds.push({ castId: await resolveCastReference(body.quoteCastId, 'quoteCastId') });
+  }
+
+  if (!text && embeds.length === 0) {
+    throw new CastValidationError('Cast text (or at least one embed) is required', 'text');
+  }
+
+  // Validate text length (hubs count UTF-8 bytes, so emoji count for more)
+  if (!allowLongText && castByteLength(text) > MAX_CAST_LENGTH) {
+    throw new CastValidationError(`Cast text must be ${MAX_CAST_LENGTH} bytes or less (UTF-8)`, 'text');
+  }
+
+  // Threads check the per-cast mention limit once the text is split
+  const mentions = await resolveMentions(text, { maxMentions: allowLongText ? Infinity : MAX_MENTIONS });
+
+  return { text, embeds, parentUrl, parentCastId, mentions };
+}
+
+// Check that a signer exists and can post; throws CastPublishError otherwise
+function requireReadySigner(signerUuid) {
+  const signer = getSigner(signerUuid);
+  if (!signer) {
+    throw new CastPublishError(400, { error: 'Signer not found' });
+  }
+
+  // Direct signers report 'completed' once the key is registered on-chain
+  if (signer.status !== 'approved' && signer.status !== 'completed') {
+    throw new CastPublishError(400, { 
+      error: 'Signer not approved yet. Please complete the approval process first.' 
+    });
+  }
+
+  return signer;
+}
+
+// Other ready signers of the same account, for provider failover
+function alternateSigners(signer) {
+  return [...activeSigners.values()].filter(other =>
+    other.signerUuid !== signer.signerUuid &&
+    Number(other.fid) === Number(signer.fid) &&
+    other.provider !== signer.provider &&
+    (other.status === 'approved' || other.status === 'completed')
+  );
+}
+
+// Publish a cast onto its pending `post` with the signer's provider (failing
+// over to the account's other signers if allowed) and mark the post
+// submitted. Returns the response payload; failures throw CastPublishError.
+async function submitCast(signer, post, { text, embeds, parentUrl, parentCastId, mentions = [] }) {
+  const { result, signer: usedSigner, failover } = await withFailover(
+    signer,
+    (provider, candidate) => provider.publish(candidate, { text, embeds, parentUrl, parentCastId, mentions }),
+    { alternates: alternateSigners(signer) }
+  );
+
+  const castInfo = {
+    ...post,
+    hash: result.hash,
+    text: result.text,
+    signerUuid: usedSigner.signerUuid,
+    fid: usedSigner.fid,
+    provider: usedSigner.provider,
+    ...result.post,
+    ...(failover ? { failoverFrom: failover.from } : {}),
+    status: 'submitted',
+    submittedAt: new Date().toISOString(),
+    error: undefined
+  };
+
+  updatePostById(post.id, castInfo);
+  outbox.watch(castInfo);
+  webhooks.emit('cast.published', { cast: castInfo });
+
+  console.log(`✅ Cast posted successfully via ${usedSigner.provider}!`);
+
+  return {
+    cast: castInfo,
+    provider: usedSigner.provider,
+    ...(failover ? { failover } : {}),
+    message: '🎉 Cast posted successfully to Farcaster!'
+  };
+}
+
+// Save a validated cast as a pending post, merging in `postMeta`, and publish
+// it. If publishing fails the cast goes to the outbox: a transient failure is
+// retried in the background and resolves with { queued: true, outbox }, a
+// permanent one throws CastPublishError. With `queue: false` (threads and
+// scheduled casts, which track their own failures) the post is marked failed
+// and the error is thrown as-is.
+async function publishCast(signer, castRequest, postMeta = {}, { queue = true } = {}) {
+  const { text, embeds, parentUrl, parentCastId, mentions = [] } = castRequest;
+  const post = savePost({
+    text,
+    embeds,
+    signerUuid: signer.signerUuid,
+    fid: signer.fid,
+    parentUrl: parentUrl || null,
+    parentCastId,
+    mentions,
+    provider: signer.provider,
+    status: 'pending',
+    ...postMeta
+  });
+  if (!post) {
+    throw new CastPublishError(500, { error: 'Failed to save cast before publishing' });
+  }
+
+  try {
+    return await submitCast(signer, post, castRequest);
+  } catch (error) {
+    if (!queue) {
+      const failure = error.body || { error: error.message };
+      updatePostById(post.id, { status: 'failed', error: failure });
+      webhooks.emit('cast.failed', { cast: getPost(post.id), error: failure });
+      throw error;
+    }
+
+    const entry = outbox.enqueue(signer, castRequest, post, error);
+    if (entry.status === 'dead') {
+      throw new CastPublishError(error.status || 500, {
+        ...(error.body || { error: 'Failed to post cast', details: error.message }),
+        outboxId: entry.id
+      });
+    }
+
+    return {
+      queued: true,
+      outbox: entry,
+      cast: getPost(post.id),
+      message: `📮 Farcaster is unavailable right now; your cast will be retried at ${entry.nextAttemptAt}`
+    };
+  }
+}
+
+// Check that a cast was authored by the signer's FID: from our own post
+// history when we have it, otherwise by asking the hub or Neynar
+async function verifyCastOwner(signer, hash) {
+  const post = getPostByHash(hash);
+  if (post) {
+    if (Number(post.fid) !== Number(signer.fid)) {
+      throw new CastPublishError(403, { error: 'This cast was not posted by this signer\'s account' });
+    }
+    if (post.deleted) {
+      throw new CastPublishError(409, { error: 'Cast already deleted', deletedAt: post.deletedAt });
+    }
+    return;
+  }
+
+  const provider = getProvider(signer.provider);
+  let cast = null;
+  try {
+    cast = await provider.findCast(signer, hash);
+  } catch (lookupError) {
+    console.log('Cast lookup failed:', lookupError.message);
+  }
+
+  if (cast) {
+    if (cast.fid !== Number(signer.fid)) {
+      throw new CastPublishError(403, { error: 'This cast was not posted by this signer\'s account' });
+    }
+    return;
+  }
+
+  throw new CastPublishError(404, { error: 'Cast not found for this signer\'s account' });
+}
+
+// Delete one of the signer's casts with its provider. The local post is kept
+// and marked deleted. Failures throw CastPublishError.
+async function deleteCast(signer, hash) {
+  await verifyCastOwner(signer, hash);
+
+  const { signer: usedSigner, failover } = await withFailover(
+    signer,
+    (provider, candidate) => provider.delete(candidate, hash),
+    { alternates: alternateSigners(signer) }
+  );
+
+  const deletedAt = new Date().toISOString();
+  updatePost(hash, { deleted: true, deletedAt, status: 'deleted' });
+  webhooks.emit('cast.deleted', {
+    hash,
+    fid: signer.fid,
+    signerUuid: usedSigner.signerUuid,
+    provider: usedSigner.provider,
+    deletedAt
+  });
+
+  console.log('🗑️  Cast deleted:', hash);
+
+  return {
+    hash,
+    deletedAt,
+    provider: usedSigner.provider,
+    ...(failover ? { failover } : {}),
+    message: '🗑️ Cast deleted from Farcaster'
+  };
+}
+
+const REACTION_TYPES = ['like', 'recast'];
+
+function parseReactionType(value) {
+  if (!REACTION_TYPES.includes(value)) {
+    throw new CastValidationError(`type must be one of: ${REACTION_TYPES.join(', ')}`, 'type');
+  }
+  return value;
+}
+
+// Like/recast a cast (or undo it with remove) with the signer's provider and
+// record the result in the reaction log. Failures throw CastPublishError.
+async function submitReaction(signer, { type, target }, { remove = false } = {}) {
+  const { result, signer: usedSigner, failover } = await withFailover(
+    signer,
+    (provider, candidate) => provider.react(candidate, { type, target }, { remove }),
+    { alternates: alternateSigners(signer) }
+  );
+
+  const id = reactionId(signer.fid, type, target.hash);
+  const existing = getReaction(id);
+  const now = new Date().toISOString();
+  const reaction = {
+    ...existing,
+    id,
+    fid: signer.fid,
+    signerUuid: usedSigner.signerUuid,
+    provider: usedSigner.provider,
+    type,
+    target,
+    status: remove ? 'removed' : 'active',
+    messageHash: result.messageHash,
+    ...(failover ? { failoverFrom: failover.from } : {}),
+    createdAt: existing ? existing.createdAt : now,
+    ...(remove ? { removedAt: now } : { reactedAt: now })
+  };
+  saveReaction(reaction);
+
+  console.log(`${remove ? '↩️ ' : '✅'} ${type} ${remove ? 'removed' : 'added'}:`, target.hash);
+
+  return reaction;
+}
+
+const MAX_FOLLOW_TARGETS = 100;
+
+// Resolve a follow target given as an FID or a username ("@name" or "name")
+async function resolveUserTarget(value, field = 'target') {
+  if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+    const fid = parseInt(value);
+    if (!Number.isInteger(fid) || fid <= 0) {
+      throw new CastValidationError(`${field} must be a positive FID`, field);
+    }
+    return fid;
+  }
+
+  const username = typeof value === 'string' ? value.trim().replace(/^@/, '').toLowerCase() : '';
+  if (!username) {
+    throw new CastValidationError(`${field} must be an FID or a username`, field);
+  }
+
+  const fid = await lookupFidByUsername(username);
+  if (!fid) {
+    throw new CastValidationError(`Unknown user: @${username}`, field);
+  }
+  return parseInt(fid);
+}
+
+// Overlay this app's follow log onto a user's viewerContext for the viewer
+function withViewerContext(user, viewerFid) {
+  if (!viewerFid) {
+    return user;
+  }
+  const link = getLink(linkId(viewerFid, 'follow', user.fid));
+  if (!link) {
+    return user;
+  }
+  return {
+    ...user,
+    viewerContext: { ...user.viewerContext, following: link.status === 'active' }
+  };
+}
+
+// Record a follow change in the link log and in the cached user's viewerContext
+function recordFollow(signer, targetFid, { remove, messageHash = null }) {
+  const id = linkId(signer.fid, 'follow', targetFid);
+  const existing = getLink(id);
+  const now = new Date().toISOString();
+  const link = {
+    ...existing,
+    id,
+    fid: signer.fid,
+    signerUuid: signer.signerUuid,
+    provider: signer.provider,
+    type: 'follow',
+    targetFid,
+    status: remove ? 'removed' : 'active',
+    messageHash,
+    createdAt: existing ? existing.createdAt : now,
+    ...(remove ? { removedAt: now } : { followedAt: now })
+  };
+  saveLink(link);
+
+  const cachedUser = getUser(targetFid);
+  if (cachedUser) {
+    saveUser({
+      ...cachedUser,
+      viewerContext: { ...cachedUser.viewerContext, following: !remove }
+    });
+  }
+
+  return link;
+}
+
+// Follow (or, with remove, unfollow) a list of FIDs with the signer's
+// provider. Failures throw CastPublishError listing what already succeeded.
+async function submitFollows(signer, targetFids, { remove = false } = {}) {
+  // Keyed by target so a failover that redoes some targets lists them once
+  const followed = new Map();
+
+  try {
+    await withFailover(
+      signer,
+      (provider, candidate) => provider.follow(candidate, targetFids, {
+        remove,
+        onFollowed: (targetFid, messageHash) =>
+          followed.set(targetFid, recordFollow(candidate, targetFid, { remove, messageHash }))
+      }),
+      { alternates: alternateSigners(signer) }
+    );
+  } catch (error) {
+    if (error instanceof CastPublishError) {
+      throw new CastPublishError(error.status, { ...error.body, follows: [...followed.values()] });
+    }
+    throw error;
+  }
+
+  const follows = [...followed.values()];
+  console.log(`✅ ${remove ? 'Unfollowed' : 'Followed'} ${follows.length} account(s) as FID ${signer.fid}`);
+
+  return follows;
+}
+
+// Create a thread record from a validated request; the first part carries the
+// request's embeds and parent, later parts reply to the part before them
+function createThread(signer, castRequest, { numbering = false } = {}) {
+  const texts = splitIntoThread(castRequest.text, { numbering });
+  texts.forEach((text, index) => {
+    if (new Set(findMentions(text).map(mention => mention.username)).size > MAX_MENTIONS) {
+      throw new CastValidationError(`Thread cast ${index + 1} mentions more than ${MAX_MENTIONS} users`, 'text');
+    }
+  });
+
+  const thread = {
+    id: crypto.randomUUID(),
+    signerUuid: signer.signerUuid,
+    fid: signer.fid,
+    status: 'pending',
+    numbering,
+    root: {
+      embeds: castRequest.embeds,
+      parentUrl: castRequest.parentUrl,
+      parentCastId: castRequest.parentCastId,
+      mentions: castRequest.mentions
+    },
+    parts: texts.map((text, index) => ({ index, text, hash: null })),
+    createdAt: new Date().toISOString()
+  };
+  saveThread(thread);
+  return thread;
+}
+
+// Post every part of a thread that hasn't been posted yet. Progress is saved
+// after each cast so a failure leaves a resumable partial thread.
+const threadsInFlight = new Set();
+
+async function publishThread(signer, thread) {
+  if (threadsInFlight.has(thread.id)) {
+    throw new CastPublishError(409, { error: 'Thread is already being posted' });
+  }
+  threadsInFlight.add(thread.id);
+
+  try {
+    return await postThreadParts(signer, thread);
+  } finally {
+    threadsInFlight.delete(thread.id);
+  }
+}
+
+async function postThreadParts(signer, thread) {
+  const current = { ...thread, parts: thread.parts.map(part => ({ ...part })) };
+
+  for (const part of current.parts) {
+    if (part.hash) {
+      continue;
+    }
+
+    const previous = current.parts[part.index - 1];
+    const castRequest = part.index === 0
+      ? { text: part.text, ...current.root }
+      : {
+        text: part.text,
+        embeds: [],
+        parentUrl: null,
+        parentCastId: { fid: parseInt(signer.fid), hash: previous.hash },
+        mentions: current.root.mentions
+      };
+
+    try {
+      const result = await publishCast(signer, castRequest, {
+        threadId: current.id,
+        threadPart: part.index + 1,
+        threadSize: current.parts.length
+      }, { queue: false });
+      part.hash = result.cast.hash;
+      current.status = 'in_progress';
+      delete current.error;
+      saveThread(current);
+    } catch (error) {
+      current.status = 'partial';
+      current.error = error.body || { error: error.message };
+      saveThread(current);
+
+      const posted = current.parts.filter(p => p.hash).length;
+      throw new CastPublishError(error.status || 500, {
+        ...(error.body || { error: 'Failed to post thread', details: error.message }),
+        thread: current,
+        message: `Thread stopped after ${posted} of ${current.parts.length} casts`,
+        resumeUrl: `/api/threads/${current.id}/resume`
+      });
+    }
+  }
+
+  current.status = 'completed';
+  current.completedAt = new Date().toISOString();
+  saveThread(current);
+
+  console.log(`✅ Thread posted: ${current.parts.length} casts`);
+
+  return {
+    thread: current,
+    hashes: current.parts.map(part => part.hash),
+    provider: signer.provider,
+    message: `🧵 Thread of ${current.parts.length} casts posted to Farcaster!`
+  };
+}
+
+// Scheduled casts are published by the background scheduler through
+// publishCast; the scheduler keeps its own failed jobs, so they skip the outbox
+const scheduler = new CastScheduler(
+  job => publishCast(requireReadySigner(job.signerUuid), job.cast, {}, { queue: false }),
+  { onFired: job => webhooks.emit('scheduled_cast.fired', { scheduledCast: job }) }
+);
+
+// Failed casts are retried by the outbox onto their original pending post
+const outbox = new CastOutbox(async entry => {
+  const post = getPost(entry.postId);
+  if (!post) {
+    throw new CastPublishError(404, { error: 'Post for this outbox entry no longer exists' });
+  }
+  const result = await submitCast(requireReadySigner(entry.signerUuid), post, entry.cast);
+  return { hash: result.cast.hash, provider: result.provider };
+}, {
+  // A submitted cast is confirmed once its provider can find it
+  confirm: async post => {
+    const signer = getSigner(post.signerUuid);
+    return !!signer && !!(await getProvider(post.provider || signer.provider).findCast(signer, post.hash));
+  },
+  onFailed: entry => webhooks.emit('cast.failed', {
+    cast: getPost(entry.postId),
+    error: entry.lastError,
+    outboxId: entry.id
+  })
+});
+
+// Fields of a cast request that can be changed on a scheduled cast
+const CAST_REQUEST_FIELDS = ['text', 'embeds', 'parentUrl', 'parentCastId', 'quoteCastId', 'channelId'];
+const CAST_PARENT_FIELDS = ['parentUrl', 'parentCastId', 'channelId'];
+
+// Respond to the errors shared by the cast routes
+function sendCastError(res, error, fallbackMessage) {
+  if (error instanceof CastValidationError) {
+    return res.status(400).json({ error: error.message, field: error.field });
+  }
+  if (error instanceof CastPublishError) {
+    return res.status(error.status).json(error.body);
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ 
+    error: fallbackMessage,
+    details: error.message 
+  });
+}
+
+// Post a cast using the signer. Send an Idempotency-Key header to make
+// retries safe: a repeat gets the first response instead of a second cast.
+app.post('/api/post-cast', requireAccount, idempotencyKeys.middleware('post-cast'), rateLimiter.middleware('cast'), async (req, res) => {
+  try {
+    const signerUuid = sessionSignerUuid(req, req.body.signerUuid);
+
+    const isThread = !!req.body.thread;
+    const castRequest = await buildCastRequest(req.body, { allowLongText: isThread });
+    const signer = requireReadySigner(signerUuid);
+
+    // Thread mode: split long text into a chain of replies
+    if (isThread) {
+      if (req.body.scheduledAt) {
+        throw new CastValidationError('Threads cannot be scheduled yet', 'scheduledAt');
+      }
+      const thread = createThread(signer, castRequest, { numbering: !!req.body.threadNumbering });
+      const result = await publishThread(signer, thread);
+      return res.json({ success: true, ...result });
+    }
+
+    // Future casts go to the scheduler instead of being published now
+    if (req.body.scheduledAt) {
+      const job = scheduler.schedule(signer, castRequest, req.body.scheduledAt);
+      return res.status(202).json({
+        success: true,
+        scheduled: job,
+        message: `🗓️ Cast scheduled for ${job.scheduledAt}`
+      });
+    }
+
+    const result = await publishCast(signer, castRequest);
+    res.status(result.queued ? 202 : 200).json({ success: true, ...result });
+
+  } catch (error) {
+    sendCastError(res, error, 'Failed to post cast');
+  }
+});
+
+// Delete a cast posted by the signer's account
+app.delete('/api/casts/:hash', requireAccount, rateLimiter.middleware('delete'), async (req, res) => {
+  try {
+    const signerUuid = sessionSignerUuid(req, (req.body && req.body.signerUuid) || req.query.signerUuid);
+
+    const hash = parseCastHash(req.params.hash);
+    const signer = requireReadySigner(signerUuid);
+    const result = await deleteCast(signer, hash);
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    sendCastError(res, error, 'Failed to delete cast');
+  }
+});
+
+// Like or recast a cast: { signerUuid, type: 'like' | 'recast', target }
+// where target is { fid, hash }, a cast hash or a Warpcast URL
+async function handleReaction(req, res, { remove }) {
+  try {
+    const signerUuid = sessionSignerUuid(req, req.body.signerUuid);
+
+    const type = parseReactionType(req.body.type);
+    if (!req.body.target) {
+      throw new CastValidationError('target is required', 'target');
+    }
+    const target = await resolveCastReference(req.body.target, 'target');
+    const signer = requireReadySigner(signerUuid);
+
+    const reaction = await submitReaction(signer, { type, target }, { remove });
+    res.json({ success: true, reaction });
+
+  } catch (error) {
+    sendCastError(res, error, `Failed to ${remove ? 'remove' : 'add'} reaction`);
+  }
+}
+
+app.post('/api/reactions', requireAccount, rateLimiter.middleware('reaction'), (req, res) => handleReaction(req, res, { remove: false }));
+app.delete('/api/reactions', requireAccount, rateLimiter.middleware('reaction'), (req, res) => handleReaction(req, res, { remove: true }));
+
+// The reaction log for an account (fid or signerUuid), optionally for one
+// target cast. Only active reactions unless status=removed or status=all.
+app.get('/api/reactions', async (req, res) => {
+  try {
+    let fid = req.query.fid;
+    if (!fid && req.query.signerUuid) {
+      const signer = getSigner(req.query.signerUuid);
+      fid = signer && signer.fid;
+    }
+    if (!fid) {
+      return res.status(400).json({ error: 'fid or a known signerUuid is required' });
+    }
+
+    const status = req.query.status || 'active';
+    const filter = {
+      fid,
+      status: status === 'all' ? undefined : status,
+      type: req.query.type ? parseReactionType(req.query.type) : undefined,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    };
+    if (req.query.target) {
+      filter.targetHash = (await resolveCastReference(req.query.target, 'target')).hash;
+    }
+
+    const reactions = listReactions(filter);
+    res.json({
+      success: true,
+      reactions,
+      count: reactions.length
+    });
+  } catch (error) {
+    sendCastError(res, error, 'Failed to list reactions');
+  }
+});
+
+// Follow or unfollow: { signerUuid, target } or { signerUuid, targets: [...] }
+// where each target is an FID or a username
+async function handleFollow(req, res, { remove }) {
+  try {
+    const signerUuid = sessionSignerUuid(req, req.body.signerUuid);
+
+    const targets = req.body.targets !== undefined ? req.body.targets : [req.body.target];
+    if (!Array.isArray(targets) || targets.length === 0 || targets.some(target => target === undefined || target === null)) {
+      throw new CastValidationError('target (or a non-empty targets array) is required', 'target');
+    }
+    if (targets.length > MAX_FOLLOW_TARGETS) {
+      throw new CastValidationError(`At most ${MAX_FOLLOW_TARGETS} targets per request`, 'targets');
+    }
+
+    const targetFids = [];
+    for (const [index, target] of targets.entries()) {
+      targetFids.push(await resolveUserTarget(target, req.body.targets !== undefined ? `targets[${index}]` : 'target'));
+    }
+
+    const signer = requireReadySigner(signerUuid);
+    const follows = await submitFollows(signer, [...new Set(targetFids)], { remove });
+    res.json({ success: true, follows });
+
+  } catch (error) {
+    sendCastError(res, error, `Failed to ${remove ? 'unfollow' : 'follow'}`);
+  }
+}
+
+app.post('/api/follows', requireAccount, rateLimiter.middleware('follow'), (req, res) => handleFollow(req, res, { remove: false }));
+app.delete('/api/follows', requireAccount, rateLimiter.middleware('follow'), (req, res) => handleFollow(req, res, { remove: true }));
+
+// The follow log for an account (fid or signerUuid). Only active follows
+// unless status=removed or status=all.
+app.get('/api/follows', async (req, res) => {
+  try {
+    let fid = req.query.fid;
+    if (!fid && req.query.signerUuid) {
+      const signer = getSigner(req.query.signerUuid);
+      fid = signer && signer.fid;
+    }
+    if (!fid) {
+      return res.status(400).json({ error: 'fid or a known signerUuid is required' });
+    }
+
+    const status = req.query.status || 'active';
+    const follows = listLinks({
+      fid,
+      status: status === 'all' ? undefined : status,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    });
+    res.json({
+      success: true,
+      follows,
+      count: follows.length
+    });
+  } catch (error) {
+    sendCastError(res, error, 'Failed to list follows');
+  }
+});
+
+const POST_STATUSES = ['pending', 'submitted', 'confirmed', 'failed', 'deleted'];
+const MAX_POSTS_PAGE = 100;
+
+// Post history cursors point at the last post of a page: { timestamp, id }.
+// New posts sort before every cursor, so pages don't shift as they arrive.
+function encodePostCursor(post) {
+  return Buffer.from(JSON.stringify({ t: post.timestamp, id: post.id })).toString('base64url');
+}
+
+function decodePostCursor(value) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (Number.isFinite(t) && typeof id === 'string') {
+      return { timestamp: t, id };
+    }
+  } catch {
+    // Fall through to the validation error
+  }
+  throw new CastValidationError('cursor is invalid', 'cursor');
+}
+
+function parseDateParam(value, field) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new CastValidationError(`${field} must be an ISO 8601 date`, field);
+  }
+  return time;
+}
+
+// The session account's post history: filter by signerUuid, provider,
+// status, date range (from/to) and text (q); page with limit and the
+// returned nextCursor
+app.get('/api/posts', requireAccount, async (req, res) => {
+  try {
+    const { fid, signerUuid, provider, status, from, to, q, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_POSTS_PAGE);
+
+    if (fid !== undefined && parseInt(fid) !== Number(req.browserSession.fid)) {
+      throw new CastPublishError(403, { error: 'This session is not signed in as that account' });
+    }
+
+    const filter = { fid: Number(req.browserSession.fid), limit: limit + 1 };
+    if (signerUuid) filter.signerUuid = signerUuid;
+    if (provider) filter.provider = provider;
+    if (status) {
+      if (!POST_STATUSES.includes(status)) {
+        throw new CastValidationError(`status must be one of: ${POST_STATUSES.join(', ')}`, 'status');
+      }
+      filter.status = status;
+    }
+    if (from) filter.since = parseDateParam(from, 'from');
+    if (to) filter.until = parseDateParam(to, 'to');
+    if (q && q.trim()) filter.search = q.trim();
+    if (cursor) filter.before = decodePostCursor(cursor);
+
+    const posts = queryPosts(filter);
+    const hasMore = posts.length > limit;
+    const page = posts.slice(0, limit);
+
+    res.json({
+      success: true,
+      posts: page,
+      count: page.length,
+      nextCursor: hasMore ? encodePostCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    sendCastError(res, error, 'Failed to list posts');
+  }
+});
+
+// Archive of the session account's post history as JSONL (default) or CSV,
+// optionally by date range (from/to). Streamed, so large histories aren't
+// built in memory.
+app.get('/api/posts/export', requireAccount, async (req, res) => {
+  try {
+    const format = req.query.format || 'jsonl';
+    if (!ARCHIVE_FORMATS.includes(format)) {
+      throw new CastValidationError(`format must be one of: ${ARCHIVE_FORMATS.join(', ')}`, 'format');
+    }
+    if (req.query.fid !== undefined && parseInt(req.query.fid) !== Number(req.browserSession.fid)) {
+      throw new CastPublishError(403, { error: 'This session is not signed in as that account' });
+    }
+
+    const filter = { format, fid: Number(req.browserSession.fid) };
+    if (req.query.from) filter.since = parseDateParam(req.query.from, 'from');
+    if (req.query.to) filter.until = parseDateParam(req.query.to, 'to');
+
+    const chunks = exportPosts(filter);
+    const first = chunks.next();
+
+    res.setHeader('Content-Type', `${ARCHIVE_CONTENT_TYPES[format]}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="posts-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+    for (let chunk = first; !chunk.done; chunk = chunks.next()) {
+      if (!res.write(chunk.value)) {
+        await new Promise(resolve => res.once('drain', resolve));
+      }
+    }
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Post export failed mid-stream:', error);
+      return res.destroy(error);
+    }
+    sendCastError(res, error, 'Failed to export posts');
+  }
+});
+
+// Merge an archive (the body, as JSONL or CSV) into the post store,
+// skipping posts whose hash is already stored and posts of other accounts
+app.post('/api/posts/import', requireAccount, rateLimiter.middleware('import'), express.text({
+  type: ['application/x-ndjson', 'application/jsonl', 'text/csv', 'text/plain'],
+  limit: '50mb'
+}), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      throw new CastValidationError('Send the archive as a JSONL or CSV request body', 'body');
+    }
+
+    const format = req.query.format || (req.is('text/csv') ? 'csv' : 'jsonl');
+    if (!ARCHIVE_FORMATS.includes(format)) {
+      throw new CastValidationError(`format must be one of: ${ARCHIVE_FORMATS.join(', ')}`, 'format');
+    }
+
+    let parsed;
+    try {
+      parsed = parseArchive(req.body, format);
+    } catch (parseError) {
+      throw new CastValidationError(parseError.message, 'body');
+    }
+
+    // Only the session account's own posts
+    const result = importPosts(parsed.records, { fid: req.browserSession.fid });
+    res.json({
+      success: true,
+      imported: result.imported,
+      duplicates: result.duplicates,
+      malformed: [...parsed.malformed, ...result.malformed].sort((a, b) => a.line - b.line)
+    });
+  } catch (error) {
+    sendCastError(res, error, 'Failed to import posts');
+  }
+});
+
+// Preview how text would be split into a thread, without posting anything
+app.post('/api/threads/preview', async (req, res) => {
+  try {
+    const parts = splitIntoThread(req.body.text, { numbering: !!req.body.threadNumbering });
+    res.json({
+      success: true,
+      parts,
+      count: parts.length
+    });
+  } catch (error) {
+    sendCastError(res, error, 'Failed to preview thread');
+  }
+});
+
+app.get('/api/threads/:id', requireAccount, async (req, res) => {
+  const thread = getThread(req.params.id);
+  if (!thread) {
+    return res.status(404).json({ error: 'Thread not found' });
+  }
+  if (Number(thread.fid) !== Number(req.browserSession.fid)) {
+    return res.status(403).json({ error: 'This thread belongs to another account' });
+  }
+  res.json({ success: true, thread });
+});
+
+// Continue a partially posted thread from its first unposted cast
+app.post('/api/threads/:id/resume', requireAccount, rateLimiter.middleware('cast'), async (req, res) => {
+  try {
+    const thread = getThread(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+    sessionSignerUuid(req, thread.signerUuid);
+
+    if (thread.status === 'completed') {
+      return res.status(409).json({ error: 'Thread is already complete', thread });
+    }
+
+    const signer = requireReadySigner(thread.signerUuid);
+    const result = await publishThread(signer, thread);
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    sendCastError(res, error, 'Failed to resume thread');
+  }
+});
+
+// List the session account's scheduled casts, optionally by signerUuid and/or status
+app.get('/api/scheduled-casts', requireAccount, async (req, res) => {
+  try {
+    const { signerUuid, fid, status } = req.query;
+    if (fid && parseInt(fid) !== Number(req.browserSession.fid)) {
+      throw new CastPublishError(403, { error: 'This session is not signed in as that account' });
+    }
+
+    const jobs = listScheduledCasts({
+      fid: Number(req.browserSession.fid),
+      signerUuid: signerUuid || undefined,
+      status: status || undefined
+    });
+
+    res.json({ success: true, scheduled: jobs });
+
+  } catch (error) {
+    sendCastError(res, error, 'Failed to list scheduled casts');
+  }
+});
+
+// Schedule a cast: same body as /api/post-cast plus a required scheduledAt
+app.post('/api/scheduled-casts', requireAccount, rateLimiter.middleware('schedule'), async (req, res) => {
+  try {
+    const signerUuid = sessionSignerUuid(req, req.body.signerUuid);
+    const { scheduledAt } = req.body;
+
+    if (!scheduledAt) {
+      return res.status(400).json({ error: 'scheduledAt is required' });
+    }
+
+    const castRequest = await buildCastRequest(req.body);
+    const signer = requireReadySigner(signerUuid);
+    const job = scheduler.schedule(signer, castRequest, scheduledAt);
+
+    res.status(201).json({
+      success: true,
+      scheduled: job,
+      message: `🗓️ Cast scheduled for ${job.scheduledAt}`
+    });
 
-// Routes
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
+  } catch (error) {
+    sendCastError(res, error, 'Failed to schedule cast');
+  }
 });
 
-// Rate limiting middleware
-function checkRateLimit(identifier) {
-  const now = Date.now();
-  const windowStart = now - RATE_LIMIT_WINDOW;
-  
-  if (!rateLimit.has(identifier)) {
-    rateLimit.set(identifier, []);
+app.get('/api/scheduled-casts/:id', requireAccount, async (req, res) => {
+  const job = getScheduledCast(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Scheduled cast not found' });
   }
-  
-  const requests = rateLimit.get(identifier);
-  const recentRequests = requests.filter(timestamp => timestamp > windowStart);
-  
-  if (recentRequests.length >= MAX_REQUESTS_PER_WINDOW) {
-    return false;
+  if (Number(job.fid) !== Number(req.browserSession.fid)) {
+    return res.status(403).json({ error: 'This cast belongs to another account' });
   }
-  
-  recentRequests.push(now);
-  rateLimit.set(identifier, recentRequests);
-  return true;
-}
+  res.json({ success: true, scheduled: job });
+});
 
-// Create a new signer for a user (SIWN flow)
-app.post('/api/create-signer', async (req, res) => {
+// Edit the cast and/or time of a scheduled cast that hasn't fired yet
+app.patch('/api/scheduled-casts/:id', requireAccount, async (req, res) => {
   try {
-    const { fid, signerUuid } = req.body;
-    
-    if (!fid || !signerUuid) {
-      return res.status(400).json({ 
-        error: 'FID and signerUuid are required for SIWN flow' 
-      });
+    const job = getScheduledCast(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled cast not found' });
     }
+    sessionSignerUuid(req, job.signerUuid);
 
-    const fidNum = parseInt(fid);
-    
-    // Rate limiting
-    const clientIP = req.ip || req.connection.remoteAddress;
-    if (!checkRateLimit(clientIP)) {
-      return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+    let castRequest;
+    const changedFields = CAST_REQUEST_FIELDS.filter(field => req.body[field] !== undefined);
+    if (changedFields.length > 0) {
+      // Start from the stored cast; a new parent of any kind replaces the old one
+      const base = { ...job.cast };
+      if (changedFields.some(field => CAST_PARENT_FIELDS.includes(field))) {
+        CAST_PARENT_FIELDS.forEach(field => delete base[field]);
+      }
+      const input = { ...base };
+      changedFields.forEach(field => { input[field] = req.body[field]; });
+      castRequest = await buildCastRequest(input);
     }
 
-    // For SIWN, we just store the signer info
-    console.log('✅ SIWN signer received for FID:', fidNum);
-    
-    const signerInfo = {
-      signerUuid: signerUuid,
-      status: 'approved', // SIWN signers are pre-approved
-      fid: fidNum,
-      createdAt: new Date(),
-      provider: 'neynar_siwn'
-    };
-    
-    activeSigners.set(signerUuid, signerInfo);
-    saveSession(signerInfo);
-    
-    console.log('✅ SIWN signer stored successfully');
-    
-    res.json({
-      success: true,
-      signer: signerInfo,
-      provider: 'neynar_siwn',
-      message: 'SIWN signer connected successfully! Ready to cast.',
-      note: 'Sign In with Neynar handles all authentication automatically'
+    const updated = scheduler.update(job.id, {
+      castRequest,
+      scheduledAt: req.body.scheduledAt
     });
 
+    res.json({ success: true, scheduled: updated });
+
   } catch (error) {
-    console.error('Error creating SIWN signer:', error);
-    res.status(500).json({ 
-      error: 'Failed to create SIWN signer',
-      details: error.message 
-    });
+    sendCastError(res, error, 'Failed to update scheduled cast');
   }
 });
 
-// Check signer status
-app.get('/api/signer-status/:signerUuid', async (req, res) => {
+// Cancel a scheduled cast; the record is kept with status 'cancelled'
+app.delete('/api/scheduled-casts/:id', requireAccount, async (req, res) => {
   try {
-    const { signerUuid } = req.params;
-    const signer = activeSigners.get(signerUuid);
-    
-    if (!signer) {
-      return res.status(404).json({ error: 'Signer not found' });
+    const job = getScheduledCast(req.params.id);
+    if (job) {
+      sessionSignerUuid(req, job.signerUuid);
+    }
+    const cancelled = scheduler.cancel(req.params.id);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'Scheduled cast not found' });
     }
+    res.json({ success: true, scheduled: cancelled });
 
-    // For Neynar signers, check actual status
-    if (signer.provider === 'neynar' && neynarClient) {
-      try {
-        const neynarSigner = await neynarClient.getSigner(signerUuid);
-        
-        // Update stored signer info
-        const signerInfo = {
-          ...signer,
-          status: neynarSigner.status,
-          updatedAt: new Date()
-        };
-
-        activeSigners.set(signerUuid, signerInfo);
-        updateSession(signer.signer_uuid, signerInfo);
-        
-        return res.json({
-          success: true,
-          signer: signerInfo
-        });
-      } catch (error) {
-        console.error('Error checking Neynar signer status:', error);
-      }
+  } catch (error) {
+    sendCastError(res, error, 'Failed to cancel scheduled cast');
+  }
+});
+
+// An outbox entry of the session's account; null if there's no such entry
+function sessionOutboxEntry(req, id) {
+  const entry = getOutboxEntry(id);
+  if (entry && Number(entry.fid) !== Number(req.browserSession.fid)) {
+    throw new CastPublishError(403, { error: 'This cast belongs to another account' });
+  }
+  return entry;
+}
+
+// List the session account's outbox entries, optionally by status
+app.get('/api/outbox', requireAccount, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      throw new CastValidationError(`status must be one of: ${OUTBOX_STATUSES.join(', ')}`, 'status');
     }
 
-    // For direct API signers, check real-time Ed25519 status if available
-    if (signer.provider === 'direct_farcaster' && signer.token) {
-      try {
-        const { default: FarcasterSignerManager } = await import('./farcaster-signer.js');
-        const signerManager = new FarcasterSignerManager();
-        
-        const realStatus = await signerManager.checkSignedKeyRequestStatus(signer.token);
-        
-        // Update the stored status if it changed
-        if (realStatus.state !== signer.status) {
-          signer.status = realStatus.state;
-          if (realStatus.userFid) {
-            signer.fid = realStatus.userFid;
-          }
-          updateSession(signerUuid, signer);
-        }
-        
-        return res.json({
-          success: true,
-          signer: signer,
-          status: signer.status,
-          provider: signer.provider,
-          realTimeStatus: realStatus,
-          message: realStatus.state === 'completed' ? 
-            '🎉 Signer approved and ready for casting!' : 
-            `Signer status: ${realStatus.state}`
-        });
-      } catch (statusError) {
-        console.error('Error checking real-time Ed25519 status:', statusError);
-        // Fall back to stored status
-      }
+    const entries = listOutboxEntries({ fid: req.browserSession.fid, status: status || undefined });
+    res.json({ success: true, outbox: entries, count: entries.length });
+
+  } catch (error) {
+    sendCastError(res, error, 'Failed to list outbox');
+  }
+});
+
+app.get('/api/outbox/:id', requireAccount, async (req, res) => {
+  try {
+    const entry = sessionOutboxEntry(req, req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Outbox entry not found' });
     }
+    res.json({ success: true, outbox: entry, post: getPost(entry.postId) });
 
-    // Return stored status for other cases
-    res.json({
-      success: true,
-      signer: signer,
-      status: signer.status,
-      provider: signer.provider
+  } catch (error) {
+    sendCastError(res, error, 'Failed to read outbox entry');
+  }
+});
+
+// Publish a queued or dead cast now. Responds with the entry: 'sent' on
+// success, otherwise queued again or dead with the new lastError.
+app.post('/api/outbox/:id/retry', requireAccount, rateLimiter.middleware('cast'), async (req, res) => {
+  try {
+    if (!sessionOutboxEntry(req, req.params.id)) {
+      return res.status(404).json({ error: 'Outbox entry not found' });
+    }
+
+    const entry = await outbox.retry(req.params.id);
+    res.status(entry.status === 'sent' ? 200 : 202).json({
+      success: entry.status === 'sent',
+      outbox: entry,
+      post: getPost(entry.postId)
     });
 
   } catch (error) {
-    console.error('Error checking signer status:', error);
-    res.status(500).json({ 
-      error: 'Failed to check signer status',
-      details: error.message 
-    });
+    sendCastError(res, error, 'Failed to retry cast');
   }
 });
 
-// Post a cast using the signer
-app.post('/api/post-cast', async (req, res) => {
+// Give up on a queued or dead cast; the entry is kept with status 'discarded'
+app.delete('/api/outbox/:id', requireAccount, async (req, res) => {
   try {
-    const { signerUuid, text, parentUrl } = req.body;
-    
-    if (!signerUuid || !text) {
-      return res.status(400).json({ 
-        error: 'Signer UUID and text are required' 
-      });
+    if (!sessionOutboxEntry(req, req.params.id)) {
+      return res.status(404).json({ error: 'Outbox entry not found' });
     }
+    res.json({ success: true, outbox: outbox.discard(req.params.id) });
+
+  } catch (error) {
+    sendCastError(res, error, 'Failed to discard cast');
+  }
+});
+
+// Admin routes take ADMIN_API_TOKEN as a Bearer token; without one set, the
+// admin API is off
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({
+      error: 'Admin API is disabled',
+      note: 'Set ADMIN_API_TOKEN in your .env file to enable it.'
+    });
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const given = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : '';
+  // Compare digests so the check takes the same time whatever the input
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(given), digest(adminToken))) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+}
+
+const MAX_DELIVERIES_PAGE = 200;
+
+// Webhook subscriptions
+app.get('/api/admin/webhooks', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    webhooks: listWebhooks().map(webhook => toPublicWebhook(webhook)),
+    events: WEBHOOK_EVENTS
+  });
+});
+
+// Subscribe a URL: { url, events, description?, secret? }. The secret is
+// generated if not given and only shown in this response.
+app.post('/api/admin/webhooks', requireAdmin, (req, res) => {
+  try {
+    const webhook = webhooks.create(req.body || {});
+    res.status(201).json({
+      success: true,
+      webhook: toPublicWebhook(webhook, { withSecret: true }),
+      note: 'Store the secret now; it is not shown again.'
+    });
+  } catch (error) {
+    sendCastError(res, error, 'Failed to create webhook');
+  }
+});
+
+app.get('/api/admin/webhooks/:id', requireAdmin, (req, res) => {
+  const webhook = getWebhook(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ success: true, webhook: toPublicWebhook(webhook) });
+});
 
-    // Rate limiting
-    const clientIP = req.ip || req.connection.remoteAddress;
-    if (!checkRateLimit(clientIP)) {
-      return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+// Change url, events, description or active; rotateSecret: true issues a
+// new secret, shown in this response
+app.patch('/api/admin/webhooks/:id', requireAdmin, (req, res) => {
+  try {
+    const webhook = webhooks.update(req.params.id, req.body || {});
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
+    res.json({ success: true, webhook: toPublicWebhook(webhook, { withSecret: !!req.body.rotateSecret }) });
+  } catch (error) {
+    sendCastError(res, error, 'Failed to update webhook');
+  }
+});
 
-    // Validate text length (Farcaster has limits)
-    if (text.length > 320) {
-      return res.status(400).json({ 
-        error: 'Cast text must be 320 characters or less' 
-      });
+app.delete('/api/admin/webhooks/:id', requireAdmin, (req, res) => {
+  if (!webhooks.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ success: true, message: 'Webhook deleted' });
+});
+
+// Delivery log of a subscription, newest first, optionally by status
+app.get('/api/admin/webhooks/:id/deliveries', requireAdmin, (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      throw new CastValidationError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`, 'status');
     }
 
-    // Check if signer is approved
-    const signer = activeSigners.get(signerUuid);
-    if (!signer) {
-      return res.status(400).json({ error: 'Signer not found' });
+    const deliveries = listWebhookDeliveries({
+      webhookId: req.params.id,
+      status: status || undefined,
+      limit: Math.min(parseInt(req.query.limit) || 50, MAX_DELIVERIES_PAGE)
+    });
+    res.json({ success: true, deliveries, count: deliveries.length });
+  } catch (error) {
+    sendCastError(res, error, 'Failed to list webhook deliveries');
+  }
+});
+
+app.get('/api/admin/webhook-deliveries/:id', requireAdmin, (req, res) => {
+  const delivery = getWebhookDelivery(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Webhook delivery not found' });
+  }
+  res.json({ success: true, delivery });
+});
+
+// Send a delivery again now, e.g. once a receiver is fixed
+app.post('/api/admin/webhook-deliveries/:id/redeliver', requireAdmin, async (req, res) => {
+  try {
+    const delivery = await webhooks.redeliver(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
     }
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (error) {
+    sendCastError(res, error, 'Failed to redeliver webhook');
+  }
+});
 
-    if (signer.status !== 'approved') {
-      return res.status(400).json({ 
-        error: 'Signer not approved yet. Please complete the approval process first.' 
+// Upload an image to embed in a cast. Send the raw file as the request body
+// with its Content-Type (e.g. image/png).
+app.post('/api/media', requireAccount, rateLimiter.middleware('media'), express.raw({ type: Object.keys(MEDIA_TYPES), limit: MAX_MEDIA_BYTES }), async (req, res) => {
+  try {
+    const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (!MEDIA_TYPES[contentType]) {
+      return res.status(415).json({
+        error: 'Unsupported media type',
+        supported: Object.keys(MEDIA_TYPES)
       });
     }
 
-    // Handle SIWN signers (pre-approved)
-    if (signer.provider === 'neynar_siwn') {
-      try {
-        console.log('📝 Posting cast using SIWN signer...');
-        console.log('   User FID:', signer.fid);
-        console.log('   Cast text:', text);
-        console.log('   Signer UUID:', signer.signerUuid);
-        
-        // Use Neynar to post the cast
-        if (neynarClient) {
-          try {
-            const cast = await neynarClient.publishCast({
-              signerUuid: signer.signerUuid,
-              text: text
-            });
-            
-            // Store the cast in our database
-            const castInfo = {
-              hash: cast.hash,
-              text: cast.text,
-              signerUuid: signer.signerUuid,
-              fid: signer.fid,
-              timestamp: new Date(),
-              provider: 'neynar_siwn'
-            };
-            
-            savePost(castInfo);
-            
-            console.log('✅ Cast posted successfully via SIWN!');
-            
-            return res.json({
-              success: true,
-              cast: castInfo,
-              provider: 'neynar_siwn',
-              message: '🎉 Cast posted successfully to Farcaster!'
-            });
-            
-          } catch (neynarError) {
-            console.error('❌ Neynar posting failed:', neynarError);
-            return res.status(500).json({
-              error: 'Failed to post cast via Neynar',
-              details: neynarError.message,
-              note: 'SIWN signer is approved but Neynar posting failed. Please try again.'
-            });
-          }
-        } else {
-          return res.status(500).json({
-            error: 'Neynar client not available',
-            message: 'SIWN signer is approved but Neynar client is not configured.',
-            note: 'Please add NEYNAR_API_KEY to your .env file to enable posting.'
-          });
-        }
-      } catch (error) {
-        console.error('❌ SIWN cast posting failed:', error);
-        return res.status(500).json({
-          error: 'Failed to post cast with SIWN',
-          details: error.message
-        });
-      }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Request body must contain the file' });
     }
 
-    // Handle Direct Farcaster API signers (Ed25519)
-    if (signer.provider === 'direct_farcaster') {
-      try {
-        // Check if we have the Ed25519 keypair stored
-        if (!signer.keypair || !signer.keypair.privateKey) {
-          return res.status(400).json({
-            error: 'Ed25519 keys not found',
-            message: 'Signer setup incomplete. Please reconnect your Farcaster account.',
-            currentStatus: signer.status
-          });
-        }
-
-        // Check if signer is actually approved on-chain
-        if (signer.token) {
-          const { default: FarcasterSignerManager } = await import('./farcaster-signer.js');
-          const signerManager = new FarcasterSignerManager();
-          
-          try {
-            const status = await signerManager.checkSignedKeyRequestStatus(signer.token);
-            
-            if (status.state === 'completed') {
-              // Signer is approved! We can post real casts
-              console.log('🎉 Signer approved! Posting real cast to Farcaster...');
-              console.log('   User FID:', signer.fid);
-              console.log('   Cast text:', text);
-              console.log('   Public Key:', signer.publicKey.substring(0, 10) + '...');
-              
-              // TODO: Implement actual cast submission using @farcaster/hub-nodejs
-              // For now, we'll indicate success but note that hub submission needs to be implemented
-              const castInfo = {
-                hash: 'pending_hub_submission', // Will be real hash after hub submission
-                text: text,
-                signerUuid,
-                fid: signer.fid,
-                timestamp: new Date(),
-                parentUrl: parentUrl || null,
-                provider: 'direct_farcaster',
-                status: 'ready_for_hub_submission',
-                note: 'Ed25519 keys approved! Cast is ready to submit to Farcaster hub.',
-                nextStep: 'Implement cast submission to Farcaster hub using @farcaster/hub-nodejs'
-              };
-
-              savePost(castInfo);
-
-              return res.json({
-                success: true,
-                cast: castInfo,
-                provider: 'direct_farcaster',
-                message: '🎉 Ed25519 signer approved! Cast ready for Farcaster hub submission.',
-                note: 'Your cryptographic keys are working! The final step is submitting to Farcaster hubs.',
-                nextStep: 'Implement hub submission to complete real Farcaster posting'
-              });
-              
-            } else if (status.state === 'approved') {
-              return res.status(400).json({
-                error: 'Signer approved, waiting for on-chain confirmation',
-                message: 'Your signer is approved but waiting for blockchain confirmation. Please wait a few minutes.',
-                currentStatus: status.state,
-                approvalUrl: signer.approvalUrl
-              });
-            } else {
-              return res.status(400).json({
-                error: 'Signer not fully approved',
-                message: `Signer status: ${status.state}. Please complete the approval process.`,
-                currentStatus: status.state,
-                approvalUrl: signer.approvalUrl
-              });
-            }
-            
-          } catch (statusError) {
-            console.error('❌ Error checking signer status:', statusError);
-            return res.status(500).json({
-              error: 'Failed to verify signer status',
-              details: statusError.message,
-              note: 'Could not verify if your Ed25519 keys are approved. Please try again.'
-            });
-          }
-        } else {
-          return res.status(400).json({
-            error: 'Signer token missing',
-            message: 'Signer setup incomplete. Please reconnect your Farcaster account.',
-            currentStatus: signer.status
-          });
-        }
-        
-      } catch (error) {
-        console.error('❌ Ed25519 cast posting failed:', error);
-        return res.status(500).json({
-          error: 'Failed to post cast with Ed25519',
-          details: error.message,
-          note: 'Ed25519 implementation error. Check server logs for details.'
-        });
-      }
+    // The file is stored and served under its type's extension, so the
+    // header has to match what the bytes actually are
+    const detectedType = detectMediaType(req.body);
+    if (detectedType !== contentType) {
+      return res.status(415).json({
+        error: `File contents don't match Content-Type ${contentType}`,
+        detected: detectedType,
+        supported: Object.keys(MEDIA_TYPES)
+      });
     }
 
-    // Fallback to Neynar if available
-    if (signer.provider === 'neynar' && neynarClient) {
-      try {
-        const cast = await neynarClient.publishCast({
-          signerUuid,
-          text,
-          parentUrl: parentUrl || undefined
-        });
-
-        // Store the cast in our database
-        const castInfo = {
-          hash: cast.hash,
-          text: cast.text,
-          signerUuid,
-          fid: signer.fid,
-          timestamp: new Date(),
-          parentUrl: parentUrl || null,
-          provider: 'neynar'
-        };
+    const media = saveMedia(req.body, contentType);
 
-        savePost(castInfo);
+    // Embeds must be reachable by Farcaster clients, so prefer the public URL
+    const baseUrl = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
 
-        return res.json({
-          success: true,
-          cast: castInfo,
-          provider: 'neynar'
-        });
-      } catch (neynarError) {
-        console.log('Neynar posting failed:', neynarError.message);
-        return res.status(500).json({ 
-          error: 'Neynar posting failed, but Direct API is available',
-          details: neynarError.message 
-        });
-      }
-    }
+    console.log('🖼️  Media uploaded:', media.fileName);
 
-    res.status(400).json({ error: 'Unknown signer provider' });
+    res.json({
+      success: true,
+      url: `${baseUrl}/media/${media.fileName}`,
+      contentType: media.contentType,
+      size: media.size
+    });
 
   } catch (error) {
-    console.error('Error posting cast:', error);
+    console.error('Error uploading media:', error);
     res.status(500).json({ 
-      error: 'Failed to post cast',
+      error: 'Failed to upload media',
       details: error.message 
     });
   }
@@ -455,7 +2062,7 @@ app.post('/api/post-cast', async (req, res) => {
 app.get('/api/qr-code/:signerUuid', async (req, res) => {
   try {
     const { signerUuid } = req.params;
-    const signer = activeSigners.get(signerUuid);
+    const signer = getSigner(signerUuid);
     
     if (!signer) {
       return res.status(404).json({ error: 'Signer not found' });
@@ -472,6 +2079,15 @@ app.get('/api/qr-code/:signerUuid', async (req, res) => {
         provider: 'neynar'
       });
     } else {
+      // An expired request's deeplink can't be approved any more
+      if (signerRequestDeadline(signer).expired) {
+        return res.status(410).json({
+          error: 'This signer request has expired',
+          ...signerRequestStatus(signer),
+          note: 'Re-issue it to get a new QR code.'
+        });
+      }
+
       // For direct API, use the real approval URL from the Ed25519 signer request
       if (signer.approvalUrl && signer.approvalUrl.startsWith('farcaster://')) {
         // This is a real Farcaster approval deeplink
@@ -482,6 +2098,7 @@ app.get('/api/qr-code/:signerUuid', async (req, res) => {
           qrCode: qrCodeDataUrl,
           approvalUrl: signer.approvalUrl,
           provider: 'direct_farcaster',
+          deadline: signerRequestDeadline(signer).deadline,
           message: '🔐 Scan QR code to approve your Ed25519 signer in Farcaster',
           instructions: [
             '1. Open Farcaster app (Warpcast, etc.)',
@@ -521,10 +2138,65 @@ app.get('/api/qr-code/:signerUuid', async (req, res) => {
   }
 });
 
+// Reduce a direct API or Neynar user object to what the composer needs
+function toUserSuggestion(user) {
+  return {
+    fid: user.fid,
+    username: user.username,
+    displayName: user.displayName || user.display_name || null,
+    pfpUrl: (user.pfp && user.pfp.url) || user.pfp_url || null
+  };
+}
+
+// Username autocomplete for @mentions: cached users first, then Neynar search
+app.get('/api/users/search', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim().replace(/^@/, '').toLowerCase();
+    const limit = Math.min(parseInt(req.query.limit) || 8, 10);
+
+    if (!/^[a-z0-9][a-z0-9.-]{0,19}$/.test(query)) {
+      return res.json({ success: true, users: [] });
+    }
+
+    const users = new Map();
+    for (const user of searchUsers(query, limit)) {
+      users.set(user.fid, toUserSuggestion(user));
+    }
+
+    if (users.size < limit && neynarClient) {
+      try {
+        const { result } = await neynarClient.searchUser({ q: query, limit });
+        for (const user of result.users || []) {
+          saveUser(user);
+          if (!users.has(user.fid)) {
+            users.set(user.fid, toUserSuggestion(user));
+          }
+        }
+      } catch (neynarError) {
+        console.log('Neynar user search failed:', neynarError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      users: [...users.values()].slice(0, limit)
+    });
+  } catch (error) {
+    console.error('Error searching users:', error);
+    res.status(500).json({ 
+      error: 'Failed to search users',
+      details: error.message 
+    });
+  }
+});
+
 // Get user info by FID - PRIORITIZES DIRECT API
+// Pass viewerFid (or signerUuid) to get viewerContext for that account
 app.get('/api/user/:fid', async (req, res) => {
   try {
     const { fid } = req.params;
+    const viewerSigner = req.query.signerUuid ? getSigner(req.query.signerUuid) : null;
+    const viewerFid = parseInt(req.query.viewerFid) || (viewerSigner && parseInt(viewerSigner.fid)) || undefined;
     
     // PRIORITY: Try Direct Farcaster API first
     try {
@@ -541,7 +2213,7 @@ app.get('/api/user/:fid', async (req, res) => {
 
           return res.json({
             success: true,
-            user: user,
+            user: withViewerContext(user, viewerFid),
             provider: 'direct_farcaster'
           });
         }
@@ -554,7 +2226,8 @@ app.get('/api/user/:fid', async (req, res) => {
     if (neynarClient) {
       try {
         const { users } = await neynarClient.fetchBulkUsers({ 
-          fids: [parseInt(fid)] 
+          fids: [parseInt(fid)],
+          viewerFid
         });
         
         if (users && users.length > 0) {
@@ -565,7 +2238,7 @@ app.get('/api/user/:fid', async (req, res) => {
 
           return res.json({
             success: true,
-            user: user,
+            user: withViewerContext(user, viewerFid),
             provider: 'neynar'
           });
         }
@@ -587,6 +2260,72 @@ app.get('/api/user/:fid', async (req, res) => {
   }
 });
 
+// Look up a channel by id (e.g. "dev" or "/dev") and return its parent URL
+app.get('/api/channels/:channelId', async (req, res) => {
+  try {
+    let channelId;
+    try {
+      channelId = normalizeChannelId(req.params.channelId);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const channel = await lookupChannel(channelId);
+    if (!channel) {
+      return res.status(404).json({ error: `Channel not found: /${channelId}` });
+    }
+
+    res.json({
+      success: true,
+      channel,
+      parentUrl: channel.url
+    });
+
+  } catch (error) {
+    console.error('Error looking up channel:', error);
+    res.status(500).json({ 
+      error: 'Failed to look up channel',
+      details: error.message 
+    });
+  }
+});
+
+// List channels a user follows or has posted in
+app.get('/api/channels', async (req, res) => {
+  try {
+    const fid = parseInt(req.query.fid);
+    if (!Number.isInteger(fid) || fid <= 0) {
+      return res.status(400).json({ error: 'fid query parameter is required' });
+    }
+
+    const followed = await fetchFollowedChannels(fid);
+    const postedIn = findPostedChannels(fid);
+
+    // Combined list for pickers: channels posted in first, then followed
+    const channels = [...postedIn];
+    for (const channel of followed) {
+      if (!channels.some(c => c.id === channel.id)) {
+        channels.push(channel);
+      }
+    }
+
+    res.json({
+      success: true,
+      fid,
+      channels,
+      followed,
+      postedIn
+    });
+
+  } catch (error) {
+    console.error('Error listing channels:', error);
+    res.status(500).json({ 
+      error: 'Failed to list channels',
+      details: error.message 
+    });
+  }
+});
+
 // Get database statistics
 app.get('/api/stats', async (req, res) => {
   try {
@@ -612,6 +2351,18 @@ app.get('/api/stats', async (req, res) => {
   }
 });
 
+// Body parser failures (bad JSON, oversized uploads) come back as JSON too
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  const status = error.status || error.statusCode || 500;
+  res.status(status).json({
+    error: status === 413 ? 'Request body too large' : 'Invalid request',
+    details: error.message
+  });
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
@@ -625,5 +2376,11 @@ app.listen(PORT, () => {
   }
   
   console.log('🔄 App automatically uses best available API');
+
+  scheduler.start();
+  outbox.start();
+  webhooks.start();
+  rateLimiter.start();
+  signerVerifier.start();
   console.log('💡 To enable Neynar: add NEYNAR_API_KEY to .env file');
 }); 
\ No newline at end of file
@@ -0,0 +1,103 @@
+// 📡 Signer Approval Watcher
+// Follows a signer's approval state for any number of listeners (browsers on
+// the SSE route) with one upstream poller per signed key request token, so
+// ten tabs showing the same QR code cost one status check per interval.
+// A poller stops once its signer can cast or can no longer be approved, when
+// its provider can't report status at all, or when nobody is listening any more.
+
+// States reported to listeners; completed, revoked, expired and error are
+// final (and approved, for Neynar signers, which are ready once approved).
+// error means the signer's provider can't report status (e.g. Neynar isn't
+// configured), so waiting longer won't help.
+export const APPROVAL_STATES = ['pending', 'approved', 'completed', 'revoked', 'expired', 'error'];
+
+// Upstream states that mean "not approved yet"; Neynar has its own names
+const PENDING_STATES = ['pending', 'generated', 'pending_approval'];
+
+// A signer its provider no longer knows about can't be approved any more
+function toApprovalState(state) {
+  if (PENDING_STATES.includes(state)) {
+    return 'pending';
+  }
+  return state === 'not_found' ? 'revoked' : state;
+}
+
+class SignerApprovalWatcher {
+  // `checkStatus(signer)` asks the signer's provider for its status, stores
+  // any changes, and resolves with the provider's { state, ready } (or null
+  // if the provider can't tell)
+  constructor(checkStatus, options = {}) {
+    this.checkStatus = checkStatus;
+    this.intervalMs = options.intervalMs || (parseInt(process.env.SIGNER_APPROVAL_POLL_SECONDS) || 2) * 1000;
+    this.pollers = new Map(); // token (or signerUuid) -> { signer, listeners, last, timer, polling }
+  }
+
+  // Call `listener(event)` with the signer's state now and on every change.
+  // Events are { signerUuid, state, ready, final, at } (plus error for the
+  // error state); no events follow a final one. Returns a function that stops
+  // listening.
+  watch(signer, listener) {
+    const key = signer.token || signer.signerUuid;
+    let poller = this.pollers.get(key);
+
+    if (!poller) {
+      poller = { signer, listeners: new Set(), last: null, timer: null, polling: false };
+      this.pollers.set(key, poller);
+      poller.timer = setInterval(() => this.poll(key, poller), this.intervalMs);
+      this.poll(key, poller);
+    }
+
+    poller.listeners.add(listener);
+    if (poller.last) {
+      listener(poller.last);
+    }
+
+    return () => {
+      poller.listeners.delete(listener);
+      if (poller.listeners.size === 0) {
+        this.stopPoller(key, poller);
+      }
+    };
+  }
+
+  stopPoller(key, poller) {
+    clearInterval(poller.timer);
+    if (this.pollers.get(key) === poller) {
+      this.pollers.delete(key);
+    }
+  }
+
+  async poll(key, poller) {
+    if (poller.polling) {
+      return;
+    }
+    poller.polling = true;
+
+    try {
+      const status = await this.checkStatus(poller.signer);
+      const state = status ? toApprovalState(status.state) : 'error';
+      const ready = !!status?.ready;
+      const final = ready || state === 'revoked' || state === 'expired' || state === 'error';
+      if (poller.last && poller.last.state === state && poller.last.ready === ready) {
+        return;
+      }
+
+      const event = { signerUuid: poller.signer.signerUuid, state, ready, final, at: new Date().toISOString() };
+      if (!status) {
+        event.error = 'Signer status is not available from its provider';
+      }
+      poller.last = event;
+      if (final) {
+        this.stopPoller(key, poller);
+        console.log(`📡 Signer ${event.signerUuid} approval finished: ${state}`);
+      }
+      [...poller.listeners].forEach(listener => listener(event));
+    } catch (error) {
+      console.log(`Signer approval check failed for ${poller.signer.signerUuid}:`, error.message);
+    } finally {
+      poller.polling = false;
+    }
+  }
+}
+
+export default SignerApprovalWatcher;
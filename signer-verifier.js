@@ -0,0 +1,139 @@
+// 🔎 Signer Verifier
+// Checks Neynar-managed signers (SIWN) against Neynar before they are trusted,
+// and re-checks stored ones periodically so revoked signers stop posting.
+// The client only needs lookupSigner({ signerUuid }), so tests can pass a stub
+// instead of a NeynarAPIClient.
+
+// Providers whose signers live on Neynar
+export const NEYNAR_SIGNER_PROVIDERS = ['neynar_siwn', 'neynar'];
+
+// Raised when a signer can't be trusted; routes answer with `status`
+export class SignerVerificationError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.name = 'SignerVerificationError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function isNotFound(error) {
+  const status = error.response ? error.response.status : error.status;
+  return status === 404;
+}
+
+class SignerVerifier {
+  // `onRevoked(signer, reason)` is called when a stored signer no longer checks
+  // out; `listSigners()` returns the signers to re-check
+  constructor(client, options = {}) {
+    this.client = client;
+    this.listSigners = options.listSigners || (() => []);
+    this.onRevoked = options.onRevoked || (() => {});
+    this.intervalMs = options.intervalMs ||
+      (parseInt(process.env.SIGNER_RECHECK_MINUTES) || 30) * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  get configured() {
+    return !!this.client;
+  }
+
+  start() {
+    if (!this.client) {
+      console.log('⚠️  Signer re-checks disabled: Neynar is not configured');
+      return;
+    }
+    this.recheckAll();
+    this.timer = setInterval(() => this.recheckAll(), this.intervalMs);
+    console.log(`🔎 Signer re-checks every ${Math.round(this.intervalMs / 60000)} minute(s)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Look a signer up on Neynar. Resolves with { status, fid, publicKey }, or
+  // null if Neynar doesn't know the signer; other failures throw.
+  async lookup(signerUuid) {
+    if (!this.client) {
+      throw new SignerVerificationError(503, 'Neynar is not configured, so SIWN signers cannot be verified', 'not_configured');
+    }
+
+    try {
+      const signer = await this.client.lookupSigner({ signerUuid });
+      return {
+        status: signer.status,
+        fid: signer.fid !== undefined ? Number(signer.fid) : null,
+        publicKey: signer.public_key || null
+      };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw new SignerVerificationError(502, `Could not look up signer on Neynar: ${error.message}`, 'lookup_failed');
+    }
+  }
+
+  // Why a lookup result can't be trusted for `fid`, as a
+  // SignerVerificationError, or null if it can
+  rejection(found, fid) {
+    if (!found) {
+      return new SignerVerificationError(404, 'Signer not found on Neynar', 'not_found');
+    }
+    if (found.status !== 'approved') {
+      return new SignerVerificationError(403, `Signer is not approved (status: ${found.status})`, 'not_approved');
+    }
+    if (found.fid !== Number(fid)) {
+      return new SignerVerificationError(403, `Signer belongs to FID ${found.fid}, not FID ${fid}`, 'fid_mismatch');
+    }
+    return null;
+  }
+
+  // Confirm a signer is approved and belongs to `fid`. Resolves with the
+  // lookup result; throws SignerVerificationError otherwise.
+  async verify(signerUuid, fid) {
+    const found = await this.lookup(signerUuid);
+    const rejection = this.rejection(found, fid);
+    if (rejection) {
+      throw rejection;
+    }
+    return found;
+  }
+
+  // Re-check one stored signer. Returns the reason it was revoked, or null if
+  // it still checks out (or Neynar couldn't be reached, which proves nothing).
+  async recheck(signer) {
+    try {
+      await this.verify(signer.signerUuid, signer.fid);
+      return null;
+    } catch (error) {
+      if (!(error instanceof SignerVerificationError) || error.status >= 500) {
+        console.log(`⚠️  Could not re-check signer ${signer.signerUuid}:`, error.message);
+        return null;
+      }
+      this.onRevoked(signer, error.message);
+      return error.message;
+    }
+  }
+
+  // Re-check every approved Neynar signer, one at a time
+  async recheckAll() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const signers = this.listSigners().filter(signer =>
+        NEYNAR_SIGNER_PROVIDERS.includes(signer.provider) && signer.status === 'approved'
+      );
+      for (const signer of signers) {
+        await this.recheck(signer);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default SignerVerifier;
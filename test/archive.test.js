@@ -0,0 +1,67 @@
+import './helpers/memory-store.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArchive, importPosts } from '../database/archive.js';
+import { getPost, getPostByHash, importPost } from '../database/db.js';
+
+const hash = n => `0x${String(n).padStart(40, '0')}`;
+
+function jsonl(...records) {
+  return parseArchive(records.map(record => JSON.stringify(record)).join('\n'), 'jsonl').records;
+}
+
+test('imports new posts under an id built from timestamp and hash', () => {
+  const result = importPosts(jsonl({ id: 'chosen-id', hash: hash(1), fid: 5, text: 'hi', timestamp: 1000 }));
+
+  assert.deepEqual(result, { imported: 1, duplicates: 0, malformed: [] });
+  assert.equal(getPost('chosen-id'), null);
+  assert.equal(getPost(`1000_${hash(1)}`).text, 'hi');
+});
+
+test('skips posts already stored by hash, repeated in the archive, or by id', () => {
+  importPost({ id: `2000_${hash(3)}`, hash: null, fid: 5, text: 'pending', timestamp: 2000 });
+  importPosts(jsonl({ hash: hash(2), fid: 5, timestamp: 1500 }));
+
+  const result = importPosts(jsonl(
+    { hash: hash(2), fid: 5, timestamp: 1500 },
+    { hash: hash(4), fid: 5, timestamp: 1600 },
+    { hash: hash(4), fid: 5, timestamp: 1700 },
+    { hash: hash(3), fid: 5, timestamp: 2000 }
+  ));
+
+  assert.equal(result.imported, 1);
+  assert.equal(result.duplicates, 3);
+  assert.equal(getPost(`2000_${hash(3)}`).text, 'pending');
+});
+
+test('cannot overwrite another record through its id', () => {
+  importPost({ id: 'victim', hash: hash(10), fid: 9, text: 'original', timestamp: 1 });
+
+  importPosts(jsonl({ id: 'victim', hash: hash(11), fid: 9, text: 'replaced', timestamp: 2 }));
+
+  assert.equal(getPost('victim').text, 'original');
+  assert.equal(getPostByHash(hash(11)).id, `2_${hash(11)}`);
+});
+
+test('with a fid, rejects posts of other accounts', () => {
+  const result = importPosts(jsonl(
+    { hash: hash(20), fid: 5, timestamp: 1 },
+    { hash: hash(21), fid: 6, timestamp: 1 }
+  ), { fid: 5 });
+
+  assert.equal(result.imported, 1);
+  assert.deepEqual(result.malformed.map(({ line, reason }) => ({ line, reason })), [
+    { line: 2, reason: 'Belongs to another account (fid 6)' }
+  ]);
+  assert.equal(getPostByHash(hash(21)), null);
+});
+
+test('reports records without a usable hash or fid', () => {
+  const result = importPosts(jsonl(
+    { id: '1755612909139_undefined', fid: 5 },
+    { hash: hash(30), fid: 'nobody' }
+  ), { dryRun: true });
+
+  assert.equal(result.imported, 0);
+  assert.deepEqual(result.malformed.map(entry => entry.reason), ['Missing or invalid cast hash', 'Missing or invalid fid']);
+});
@@ -0,0 +1,149 @@
+import './helpers/memory-store.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CastOutbox from '../cast-outbox.js';
+import HubProvider from '../providers/hub-provider.js';
+import { HubSubmissionError } from '../farcaster-hub.js';
+import { CastPublishError } from '../cast-utils.js';
+import { savePost, getPost, getOutboxEntry, saveOutboxEntry } from '../database/db.js';
+
+const signer = { signerUuid: 'signer-1', fid: 7, provider: 'direct_farcaster' };
+
+function createOutbox(options = {}) {
+  const failed = [];
+  const outbox = new CastOutbox(async () => ({ hash: '0xabc', provider: 'direct_farcaster' }), {
+    maxAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 8000,
+    onFailed: entry => failed.push(entry),
+    ...options
+  });
+  return { outbox, failed };
+}
+
+function pendingPost() {
+  return savePost({ fid: signer.fid, text: 'hello', status: 'pending' });
+}
+
+test('backoff doubles per attempt with equal jitter, up to the cap', () => {
+  const { outbox } = createOutbox();
+  for (const [attempts, ceiling] of [[1, 1000], [2, 2000], [3, 4000], [4, 8000], [10, 8000]]) {
+    for (let i = 0; i < 20; i++) {
+      const delay = outbox.backoff(attempts);
+      assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempts}: ${delay}ms outside ${ceiling / 2}-${ceiling}ms`);
+    }
+  }
+});
+
+test('transient failures are queued for a retry', () => {
+  const { outbox, failed } = createOutbox();
+  const post = pendingPost();
+
+  for (const error of [
+    new CastPublishError(502, { error: 'Hub unreachable' }),
+    new CastPublishError(429, { error: 'Slow down' }),
+    new Error('socket hang up')
+  ]) {
+    const entry = outbox.enqueue(signer, { text: 'hello' }, post, error);
+    assert.equal(entry.status, 'queued');
+    assert.ok(Date.parse(entry.nextAttemptAt) > Date.now());
+    assert.equal(getOutboxEntry(entry.id).status, 'queued');
+  }
+  assert.equal(getPost(post.id).status, 'pending');
+  assert.equal(failed.length, 0);
+});
+
+test('upstream 4xx rejections are dead-lettered on the first attempt', () => {
+  const { outbox, failed } = createOutbox();
+  const post = pendingPost();
+  const rejection = new HubProvider(null, 'http://hub.test').hubError(
+    new HubSubmissionError('Hub rejected message: invalid embed', { status: 400, errCode: 'bad_request.validation_failure' }),
+    'cast'
+  );
+
+  const entry = outbox.enqueue(signer, { text: 'hello' }, post, rejection);
+
+  assert.equal(rejection.status, 400);
+  assert.equal(entry.status, 'dead');
+  assert.equal(entry.attempts, 1);
+  assert.equal(entry.nextAttemptAt, null);
+  assert.equal(getPost(post.id).status, 'failed');
+  assert.deepEqual(failed.map(dead => dead.id), [entry.id]);
+});
+
+test('an unavailable hub is retried', () => {
+  const { outbox } = createOutbox();
+  const error = new HubProvider(null, 'http://hub.test').hubError(
+    new HubSubmissionError('Could not reach hub at http://hub.test', { details: 'ECONNREFUSED' }),
+    'cast'
+  );
+
+  assert.equal(error.status, 502);
+  assert.equal(outbox.enqueue(signer, { text: 'hello' }, pendingPost(), error).status, 'queued');
+});
+
+test('transient failures are dead-lettered once attempts run out', () => {
+  const { outbox, failed } = createOutbox();
+  const post = pendingPost();
+  const error = new CastPublishError(503, { error: 'Unavailable' });
+
+  const queued = outbox.fail({ id: 'entry-1', postId: post.id, attempts: 2 }, error);
+  assert.equal(queued.status, 'queued');
+
+  const dead = outbox.fail({ ...queued, attempts: 3 }, error);
+  assert.equal(dead.status, 'dead');
+  assert.ok(dead.deadAt);
+  assert.equal(getPost(post.id).status, 'failed');
+  assert.equal(failed.length, 1);
+});
+
+test('a retry that fails permanently is dead-lettered', async () => {
+  const { outbox } = createOutbox();
+  outbox.publish = async () => {
+    throw new CastPublishError(403, { error: 'Signer not approved' });
+  };
+  const queued = outbox.enqueue(signer, { text: 'hello' }, pendingPost(), new CastPublishError(502, { error: 'Down' }));
+
+  const result = await outbox.retry(queued.id);
+
+  assert.equal(result.status, 'dead');
+  assert.equal(result.lastError.error, 'Signer not approved');
+});
+
+// Two entries due now; `onFirst(second)` runs while the first one publishes
+async function tickWithTwoDue(onFirst) {
+  const published = [];
+  const { outbox } = createOutbox();
+  outbox.publish = async entry => {
+    published.push(entry.id);
+    if (entry.id === first.id) {
+      await onFirst(outbox, second);
+    }
+    return { hash: '0xabc', provider: 'direct_farcaster' };
+  };
+  const due = entry => {
+    const overdue = { ...entry, nextAttemptAt: new Date(Date.now() - 1000).toISOString() };
+    saveOutboxEntry(overdue);
+    return overdue;
+  };
+  const transient = new CastPublishError(502, { error: 'Down' });
+  const first = due(outbox.enqueue(signer, { text: 'one' }, pendingPost(), transient));
+  const second = due(outbox.enqueue(signer, { text: 'two' }, pendingPost(), transient));
+
+  await outbox.tick();
+  return { published, first, second };
+}
+
+test('an entry retried by hand during a tick is not published again', async () => {
+  const { published, second } = await tickWithTwoDue((outbox, entry) => outbox.retry(entry.id));
+
+  assert.equal(published.filter(id => id === second.id).length, 1);
+  assert.equal(getOutboxEntry(second.id).status, 'sent');
+});
+
+test('an entry discarded during a tick is not published', async () => {
+  const { published, first, second } = await tickWithTwoDue((outbox, entry) => outbox.discard(entry.id));
+
+  assert.deepEqual(published, [first.id]);
+  assert.equal(getOutboxEntry(second.id).status, 'discarded');
+});
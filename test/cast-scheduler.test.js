@@ -0,0 +1,86 @@
+import './helpers/memory-store.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import CastScheduler from '../cast-scheduler.js';
+import { saveScheduledCast, getScheduledCast } from '../database/db.js';
+
+function dueJob(scheduledAt, text = 'hello') {
+  const job = {
+    id: crypto.randomUUID(),
+    signerUuid: 'signer-1',
+    fid: 7,
+    status: 'scheduled',
+    scheduledAt: new Date(scheduledAt).toISOString(),
+    cast: { text },
+    attempts: 0
+  };
+  saveScheduledCast(job);
+  return job;
+}
+
+test('a job cancelled while an earlier one publishes is not published', async () => {
+  const published = [];
+  const scheduler = new CastScheduler(async job => {
+    published.push(job.cast.text);
+    if (job.cast.text === 'first') {
+      scheduler.cancel(second.id);
+    }
+    return { cast: { hash: '0xabc' }, provider: 'direct_farcaster' };
+  });
+  scheduler.startedAt = Date.now();
+
+  dueJob(Date.now() - 2000, 'first');
+  const second = dueJob(Date.now() - 1000, 'second');
+  await scheduler.tick();
+
+  assert.deepEqual(published, ['first']);
+  assert.equal(getScheduledCast(second.id).status, 'cancelled');
+});
+
+test('a job moved to a later time while the tick runs waits for it', async () => {
+  const published = [];
+  const scheduler = new CastScheduler(async job => {
+    published.push(job.cast.text);
+    scheduler.update(later.id, { scheduledAt: new Date(Date.now() + 60000).toISOString() });
+    return { cast: { hash: '0xabc' }, provider: 'direct_farcaster' };
+  });
+  scheduler.startedAt = Date.now();
+
+  dueJob(Date.now() - 2000, 'first');
+  const later = dueJob(Date.now() - 1000, 'moved');
+  await scheduler.tick();
+
+  assert.deepEqual(published, ['first']);
+  assert.equal(getScheduledCast(later.id).status, 'scheduled');
+});
+
+test('a slow publish does not make jobs that came due meanwhile "missed"', async () => {
+  const scheduler = new CastScheduler(async () => ({ cast: { hash: '0xabc' }, provider: 'direct_farcaster' }), {
+    catchUpPolicy: 'skip',
+    intervalMs: 1000
+  });
+  scheduler.startedAt = Date.now() - 10 * 60 * 1000;
+
+  const job = dueJob(Date.now() - 5 * 60 * 1000);
+  await scheduler.tick();
+
+  assert.equal(getScheduledCast(job.id).status, 'published');
+});
+
+test('jobs already overdue at startup follow the catch-up policy', async () => {
+  const published = [];
+  const scheduler = new CastScheduler(async job => {
+    published.push(job.cast.text);
+    return { cast: { hash: '0xabc' }, provider: 'direct_farcaster' };
+  }, { catchUpPolicy: 'window', catchUpWindowMs: 60 * 60 * 1000, intervalMs: 1000 });
+  scheduler.startedAt = Date.now();
+
+  const stale = dueJob(Date.now() - 2 * 60 * 60 * 1000, 'stale');
+  const recent = dueJob(Date.now() - 10 * 60 * 1000, 'recent');
+  await scheduler.tick();
+
+  assert.equal(getScheduledCast(stale.id).status, 'missed');
+  assert.equal(getScheduledCast(recent.id).status, 'published');
+  assert.deepEqual(published, ['recent']);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_CAST_LENGTH, MAX_THREAD_PARTS, castByteLength, splitIntoThread, findMentions, toProtocolMentions,
+  CastValidationError, upstreamErrorStatus
+} from '../cast-utils.js';
+
+const fitsCast = part => castByteLength(part) <= MAX_CAST_LENGTH;
+
+test('short text is a single part', () => {
+  assert.deepEqual(splitIntoThread('  Hello world.  '), ['Hello world.']);
+});
+
+test('splits on sentences, then words', () => {
+  const sentence = `${'word '.repeat(30).trim()}.`;
+  const parts = splitIntoThread(`${sentence} ${sentence} ${sentence}`);
+
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every(fitsCast));
+  assert.ok(parts.every(part => part.endsWith('.')), 'parts end on sentence boundaries');
+});
+
+test('parts stay within 320 UTF-8 bytes for non-ASCII text', () => {
+  const text = 'Grüße aus München, schöne Tage! '.repeat(20) + '日本語のテキスト。'.repeat(30);
+  const parts = splitIntoThread(text);
+
+  assert.ok(parts.every(fitsCast), parts.map(castByteLength).join(', '));
+  assert.equal(parts.join(' ').replace(/\s+/g, ''), text.replace(/\s+/g, ''));
+});
+
+test('emoji are never cut in half', () => {
+  const text = '🎉'.repeat(200);
+  const parts = splitIntoThread(text);
+
+  assert.equal(parts.join(''), text);
+  assert.ok(parts.every(fitsCast));
+  assert.ok(parts.every(part => !/[\uD800-\uDBFF]$|^[\uDC00-\uDFFF]/.test(part)), 'no lone surrogates');
+  assert.equal(parts[0].length, (MAX_CAST_LENGTH / 4) * 2);
+});
+
+test('a word split as a last resort keeps @mentions whole', () => {
+  const text = `${'x'.repeat(315)},@alice,@bob`;
+  const parts = splitIntoThread(text);
+
+  assert.deepEqual(parts, [`${'x'.repeat(315)},`, '@alice,@bob']);
+  assert.deepEqual(findMentions(parts[1]).map(mention => mention.username), ['alice', 'bob']);
+});
+
+test('numbering suffixes count toward the limit', () => {
+  const parts = splitIntoThread('ü '.repeat(400), { numbering: true });
+
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every(fitsCast));
+  parts.forEach((part, index) => assert.ok(part.endsWith(` ${index + 1}/${parts.length}`)));
+});
+
+test('rejects empty text and threads with too many parts', () => {
+  assert.throws(() => splitIntoThread('   '), CastValidationError);
+  assert.throws(() => splitIntoThread('a. '.repeat(MAX_THREAD_PARTS * 200)), /at most 25 casts/);
+});
+
+test('mention positions are UTF-8 byte offsets into the remaining text', () => {
+  const result = toProtocolMentions('gm @alice and 🎉 @bob!', [
+    { username: 'alice', fid: 1 },
+    { username: 'bob', fid: '2' }
+  ]);
+
+  assert.equal(result.text, 'gm  and 🎉 !');
+  assert.deepEqual(result.mentions, [1, 2]);
+  assert.deepEqual(result.mentionsPositions, [3, 13]);
+});
+
+test('unresolved mentions and emails stay in the text', () => {
+  const result = toProtocolMentions('mail me@example.com or ask @carol', [{ username: 'dave', fid: 4 }]);
+
+  assert.equal(result.text, 'mail me@example.com or ask @carol');
+  assert.deepEqual(result.mentions, []);
+  assert.deepEqual(result.mentionsPositions, []);
+});
+
+test('upstream rejections of the request keep their status; auth failures and outages are 502', () => {
+  for (const status of [400, 404, 409, 422, 429]) {
+    assert.equal(upstreamErrorStatus(status), status);
+  }
+  for (const status of [401, 402, 403, 500, 503, null, undefined]) {
+    assert.equal(upstreamErrorStatus(status), 502, String(status));
+  }
+});
@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { Message, validations, bytesToHexString } from '@farcaster/hub-nodejs';
+import FarcasterHubClient, { HubSubmissionError } from '../farcaster-hub.js';
+
+const privateKey = `0x${'11'.repeat(32)}`;
+
+// A stand-in hub: decodes submitted messages and answers with the next
+// queued { status, body }, or 200 with the decoded message
+const submitted = [];
+const replies = [];
+let hubUrl;
+const hub = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const reply = replies.shift();
+    if (req.url !== '/v1/submitMessage' || req.headers['content-type'] !== 'application/octet-stream') {
+      res.writeHead(404);
+      return res.end();
+    }
+    const message = Message.decode(Buffer.concat(chunks));
+    submitted.push(message);
+    res.writeHead(reply ? reply.status : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply ? reply.body : Message.toJSON(message)));
+  });
+});
+
+before(() => new Promise(resolve => hub.listen(0, '127.0.0.1', () => {
+  hubUrl = `http://127.0.0.1:${hub.address().port}/`;
+  resolve();
+})));
+after(() => new Promise(resolve => hub.close(resolve)));
+
+test('publishCast submits a validly signed CastAdd and returns its hash', async () => {
+  submitted.length = 0;
+  const client = new FarcasterHubClient(hubUrl);
+
+  const result = await client.publishCast(42, privateKey, {
+    text: 'gm  and !',
+    mentions: [1, 2],
+    mentionsPositions: [3, 8],
+    parentUrl: 'https://warpcast.com/~/channel/dev',
+    embeds: [{ url: 'https://example.com' }]
+  });
+
+  assert.equal(submitted.length, 1);
+  const [message] = submitted;
+  assert.equal(result.fid, 42);
+  assert.equal(result.hash, bytesToHexString(message.hash)._unsafeUnwrap());
+  assert.equal(message.data.fid, 42);
+  assert.equal(message.data.castAddBody.text, 'gm  and !');
+  assert.deepEqual(message.data.castAddBody.mentions, [1, 2]);
+  assert.deepEqual(message.data.castAddBody.mentionsPositions, [3, 8]);
+  assert.equal(message.data.castAddBody.parentUrl, 'https://warpcast.com/~/channel/dev');
+  assert.deepEqual(message.data.castAddBody.embeds.map(embed => embed.url), ['https://example.com']);
+  assert.ok((await validations.validateMessage(message)).isOk(), 'hash and signature verify');
+});
+
+test('a hub rejection is a HubSubmissionError with the hub\'s status and errCode', async () => {
+  replies.push({ status: 400, body: { errCode: 'bad_request.validation_failure', details: 'invalid signer' } });
+  const client = new FarcasterHubClient(hubUrl);
+
+  await assert.rejects(client.publishCast(42, privateKey, { text: 'hello' }), error => {
+    assert.ok(error instanceof HubSubmissionError);
+    assert.equal(error.status, 400);
+    assert.equal(error.errCode, 'bad_request.validation_failure');
+    assert.match(error.message, /invalid signer/);
+    return true;
+  });
+});
+
+test('an unreachable hub is a HubSubmissionError without a status', async () => {
+  const client = new FarcasterHubClient('http://127.0.0.1:1');
+
+  await assert.rejects(client.deleteCast(42, privateKey, `0x${'ab'.repeat(20)}`), error => {
+    assert.ok(error instanceof HubSubmissionError);
+    assert.equal(error.status, null);
+    assert.match(error.message, /Could not reach hub/);
+    return true;
+  });
+});
+
+test('reactions and follows are submitted as signed messages too', async () => {
+  submitted.length = 0;
+  const client = new FarcasterHubClient(hubUrl);
+
+  await client.submitReaction(42, privateKey, { type: 'like', target: { fid: 3, hash: `0x${'cd'.repeat(20)}` } });
+  await client.submitLink(42, privateKey, { type: 'follow', targetFid: 3 }, { remove: true });
+
+  assert.equal(submitted[0].data.reactionBody.targetCastId.fid, 3);
+  assert.equal(submitted[1].data.linkBody.targetFid, 3);
+  for (const message of submitted) {
+    assert.ok((await validations.validateMessage(message)).isOk());
+  }
+});
@@ -0,0 +1,4 @@
+// Import first in tests that touch the database: an in-memory SQLite store
+// per test file instead of the files under database/
+process.env.DATABASE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
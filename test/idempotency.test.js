@@ -0,0 +1,87 @@
+import './helpers/memory-store.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import IdempotencyKeys from '../idempotency.js';
+
+// A route behind the middleware that counts how often its handler runs
+const keys = new IdempotencyKeys({ waitMs: 2000 });
+let runs = 0;
+let baseUrl;
+const app = express();
+app.use(express.json());
+app.post('/casts', (req, res, next) => {
+  req.browserSession = { fid: 7 };
+  next();
+}, keys.middleware('cast'), async (req, res) => {
+  runs++;
+  await new Promise(resolve => setTimeout(resolve, req.body.delayMs || 0));
+  res.status(req.body.status || 200).json({ run: runs });
+});
+
+let server;
+before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+after(() => new Promise(resolve => server.close(resolve)));
+
+function post(key, body, options = {}) {
+  return fetch(`${baseUrl}/casts`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key ? { 'Idempotency-Key': key } : {}) },
+    body: JSON.stringify(body),
+    ...options
+  });
+}
+
+test('a retry with the same key and body replays the stored response', async () => {
+  runs = 0;
+  const first = await post('replay-1', { text: 'hi', tags: { a: 1, b: 2 } });
+  const retry = await post('replay-1', { tags: { b: 2, a: 1 }, text: 'hi' });
+
+  assert.deepEqual(await first.json(), { run: 1 });
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(await retry.json(), { run: 1 });
+  assert.equal(runs, 1);
+});
+
+test('the same key with a different body is rejected', async () => {
+  await post('mismatch-1', { text: 'hi' });
+  const response = await post('mismatch-1', { text: 'bye' });
+
+  assert.equal(response.status, 422);
+});
+
+test('server errors are not stored, so the client can retry them', async () => {
+  runs = 0;
+  assert.equal((await post('error-1', { status: 503 })).status, 503);
+  const retry = await post('error-1', { status: 503 });
+
+  assert.equal(retry.headers.get('idempotent-replayed'), null);
+  assert.equal(runs, 2);
+});
+
+test('a retry while the first request still runs waits for its response', async () => {
+  runs = 0;
+  const body = { text: 'slow', delayMs: 300 };
+  await assert.rejects(post('slow-1', body, { signal: AbortSignal.timeout(50) }));
+
+  const retry = await post('slow-1', body);
+
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(await retry.json(), { run: 1 });
+  assert.equal(runs, 1);
+});
+
+test('requests without a key are not tracked, and bad keys are refused', async () => {
+  runs = 0;
+  await post(null, { text: 'hi' });
+  await post(null, { text: 'hi' });
+  assert.equal(runs, 2);
+
+  assert.equal((await post('bad key', { text: 'hi' })).status, 400);
+});
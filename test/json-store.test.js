@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JsonFileStore from '../database/stores/json-store.js';
+
+// A JSON store in a temporary folder with one signer session in it, the kind
+// of record a crafted id would try to reach
+const signerUuid = '5f0c1d2e-0000-4000-8000-000000000001';
+const escape = `../sessions/${signerUuid}`;
+let rootDir;
+let store;
+
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+  store = new JsonFileStore(rootDir);
+  store.putSession({ signerUuid, fid: 7, keypair: { privateKey: 'secret' } });
+});
+after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+test('thread ids that leave the threads folder read as missing', () => {
+  store.putThread({ id: 'thread-1', fid: 7, parts: [] });
+
+  assert.equal(store.getThread('thread-1').id, 'thread-1');
+  assert.equal(store.getThread(escape), null);
+  assert.equal(store.getThread(`..${path.sep}..${path.sep}package`), null);
+  assert.equal(store.putThread({ id: escape, fid: 7 }), false);
+  assert.equal(store.getSession(signerUuid).keypair.privateKey, 'secret');
+});
+
+test('every id-keyed lookup refuses ids with path characters', () => {
+  assert.equal(store.getSession(`./${signerUuid}`), null);
+  assert.equal(store.getPost(escape), null);
+  assert.equal(store.getUser('../users/3'), null);
+  assert.equal(store.getAuthSession(escape), null);
+  assert.equal(store.getWebhookDelivery(escape), null);
+  assert.equal(store.deleteSession(`../sessions/${signerUuid}`), false);
+  assert.ok(store.getSession(signerUuid));
+});
+
+test('scheduled cast ids that leave the scheduled folder read as missing', () => {
+  store.putScheduledCast({ id: 'job-1', fid: 7, status: 'scheduled' });
+
+  assert.equal(store.getScheduledCast('job-1').id, 'job-1');
+  assert.equal(store.getScheduledCast(escape), null);
+  assert.equal(store.putScheduledCast({ id: escape, fid: 7, status: 'cancelled' }), false);
+  assert.equal(store.getSession(signerUuid).status, undefined);
+});
+
+test('outbox ids that leave the outbox folder read as missing', () => {
+  store.putOutboxEntry({ id: 'entry-1', fid: 7, status: 'queued' });
+
+  assert.equal(store.getOutboxEntry('entry-1').id, 'entry-1');
+  assert.equal(store.getOutboxEntry(escape), null);
+  assert.equal(store.putOutboxEntry({ id: escape, fid: 7, status: 'discarded' }), false);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectMediaType, saveMedia } from '../database/media.js';
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+
+test('detects image types from their magic bytes', () => {
+  assert.equal(detectMediaType(png), 'image/png');
+  assert.equal(detectMediaType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 16])), 'image/jpeg');
+  assert.equal(detectMediaType(Buffer.from('GIF89a\x01\x00')), 'image/gif');
+  assert.equal(detectMediaType(Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ')), 'image/webp');
+});
+
+test('anything else is not an image', () => {
+  assert.equal(detectMediaType(Buffer.from('<svg onload="alert(1)"></svg>')), null);
+  assert.equal(detectMediaType(Buffer.from('RIFF\x24\x00\x00\x00WAVEfmt ')), null);
+  assert.equal(detectMediaType(Buffer.from([0x89, 0x50])), null);
+});
+
+test('refuses to store a file under another type', () => {
+  assert.throws(() => saveMedia(Buffer.from('<html></html>'), 'image/png'), /not image\/png/);
+  assert.throws(() => saveMedia(png, 'image/jpeg'), /not image\/jpeg/);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RateLimiter from '../rate-limiter.js';
+
+const budgets = { default: { ip: 100, fid: 100, signer: 100 }, cast: { fid: 2, signer: 3 } };
+
+test('allows requests until the tightest bucket is empty', () => {
+  const limiter = new RateLimiter({ budgets });
+  const now = 0;
+
+  const first = limiter.consume('cast', { ip: '1.2.3.4', fid: 7, signer: 's' }, now);
+  assert.deepEqual({ allowed: first.allowed, limit: first.limit, remaining: first.remaining }, { allowed: true, limit: 2, remaining: 1 });
+  assert.equal(limiter.consume('cast', { ip: '1.2.3.4', fid: 7, signer: 's' }, now).allowed, true);
+
+  const denied = limiter.consume('cast', { ip: '1.2.3.4', fid: 7, signer: 's' }, now);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.retryAfterMs, 30000);
+});
+
+test('a denied request takes nothing from the other buckets', () => {
+  const limiter = new RateLimiter({ budgets });
+
+  for (let i = 0; i < 5; i++) {
+    limiter.consume('cast', { ip: 'ip', fid: 7, signer: 's' }, 0);
+  }
+
+  // The signer bucket gave up only the two tokens the fid bucket allowed
+  assert.equal(limiter.consume('cast', { signer: 's' }, 0).remaining, 0);
+  assert.equal(limiter.consume('cast', { signer: 's' }, 0).allowed, false);
+});
+
+test('buckets refill over the minute and are kept per identity', () => {
+  const limiter = new RateLimiter({ budgets });
+  limiter.consume('cast', { fid: 7 }, 0);
+  limiter.consume('cast', { fid: 7 }, 0);
+
+  assert.equal(limiter.consume('cast', { fid: 7 }, 0).allowed, false);
+  assert.equal(limiter.consume('cast', { fid: 8 }, 0).allowed, true);
+  assert.equal(limiter.consume('cast', { fid: 7 }, 30000).allowed, true);
+  assert.equal(limiter.consume('cast', { fid: 7 }, 30000).allowed, false);
+});
+
+test('missing identities and unknown routes fall back sensibly', () => {
+  const limiter = new RateLimiter({ budgets });
+
+  const result = limiter.consume('media', { ip: 'ip', fid: null, signer: undefined }, 0);
+  assert.equal(result.limit, 100);
+  assert.equal(limiter.buckets.size, 1);
+});
+
+test('sweep forgets only buckets that are full again', () => {
+  const limiter = new RateLimiter({ budgets });
+  limiter.consume('cast', { fid: 7 }, 0);
+  limiter.consume('cast', { fid: 8 }, 50000);
+
+  limiter.sweep(60000);
+
+  assert.deepEqual([...limiter.buckets.keys()], ['cast:fid:8']);
+});
+
+test('rejects malformed RATE_LIMITS overrides', () => {
+  const saved = process.env.RATE_LIMITS;
+  try {
+    process.env.RATE_LIMITS = '{"cast":{"fid":0}}';
+    assert.throws(() => new RateLimiter(), /RATE_LIMITS\.cast\.fid must be a positive integer/);
+    process.env.RATE_LIMITS = 'nope';
+    assert.throws(() => new RateLimiter(), /RATE_LIMITS must be JSON/);
+  } finally {
+    if (saved === undefined) {
+      delete process.env.RATE_LIMITS;
+    } else {
+      process.env.RATE_LIMITS = saved;
+    }
+  }
+});
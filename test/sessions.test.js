@@ -0,0 +1,30 @@
+import './helpers/memory-store.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getStore, getSession, cleanupOldSessions } from '../database/db.js';
+
+const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+const now = Math.floor(Date.now() / 1000);
+
+test('cleanup removes only abandoned signers and reports them', () => {
+  const sessions = {
+    approved: { status: 'approved' },
+    completed: { status: 'completed' },
+    revoked: { status: 'revoked' },
+    'never-approved': { status: 'pending_approval' },
+    'still-approvable': { status: 'pending', deadline: now + 3600 },
+    expired: { status: 'expired', deadline: now - 3600 },
+    recent: { status: 'pending', updatedAt: new Date().toISOString() }
+  };
+  for (const [signerUuid, session] of Object.entries(sessions)) {
+    getStore().putSession({ signerUuid, fid: 1, provider: 'neynar', updatedAt: twoDaysAgo, ...session });
+  }
+
+  const removed = cleanupOldSessions();
+
+  assert.deepEqual(removed.sort(), ['expired', 'never-approved']);
+  for (const signerUuid of Object.keys(sessions)) {
+    assert.equal(!!getSession(signerUuid), !removed.includes(signerUuid), signerUuid);
+  }
+  assert.deepEqual(cleanupOldSessions(), []);
+});
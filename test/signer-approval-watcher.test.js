@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SignerApprovalWatcher from '../signer-approval-watcher.js';
+
+const signer = { signerUuid: 'signer-1', token: 'token-1' };
+const nextPoll = () => new Promise(resolve => setTimeout(resolve, 30));
+
+test('a provider that cannot report status ends the watch with an error', async () => {
+  let checks = 0;
+  const watcher = new SignerApprovalWatcher(async () => {
+    checks++;
+    return null;
+  }, { intervalMs: 10 });
+  const events = [];
+
+  watcher.watch(signer, event => events.push(event));
+  await nextPoll();
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].state, 'error');
+  assert.equal(events[0].final, true);
+  assert.ok(events[0].error);
+  assert.equal(watcher.pollers.size, 0);
+  assert.equal(checks, 1);
+});
+
+test('pollers are shared per token and stop once the signer is ready', async () => {
+  const states = [{ state: 'pending_approval' }, { state: 'approved', ready: true }];
+  let checks = 0;
+  const watcher = new SignerApprovalWatcher(async () => states[Math.min(checks++, 1)], { intervalMs: 10 });
+  const first = [];
+  const second = [];
+
+  watcher.watch(signer, event => first.push(event.state));
+  watcher.watch({ ...signer }, event => second.push(event.state));
+  await nextPoll();
+
+  assert.deepEqual(first, ['pending', 'approved']);
+  assert.deepEqual(second, ['pending', 'approved']);
+  assert.equal(watcher.pollers.size, 0);
+  assert.equal(checks, 2);
+});
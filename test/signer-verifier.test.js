@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SignerVerifier, { SignerVerificationError } from '../signer-verifier.js';
+
+// A stand-in for NeynarAPIClient: lookupSigner answers from `signers`, and
+// unknown ones fail the way the SDK does, with a 404 response
+function fakeClient(signers) {
+  return {
+    async lookupSigner({ signerUuid }) {
+      if (signerUuid === 'down') {
+        throw new Error('ECONNRESET');
+      }
+      if (!signers[signerUuid]) {
+        throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+      }
+      return { signer_uuid: signerUuid, public_key: '0xabc', ...signers[signerUuid] };
+    }
+  };
+}
+
+const client = fakeClient({
+  valid: { status: 'approved', fid: 7 },
+  revoked: { status: 'revoked', fid: 7 },
+  pending: { status: 'pending_approval' }
+});
+
+async function rejects(promise, status, code) {
+  await assert.rejects(promise, error => {
+    assert.ok(error instanceof SignerVerificationError);
+    assert.equal(error.status, status);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+test('an approved signer of the right FID verifies', async () => {
+  const verifier = new SignerVerifier(client);
+
+  assert.deepEqual(await verifier.verify('valid', '7'), { status: 'approved', fid: 7, publicKey: '0xabc' });
+});
+
+test('revoked, unapproved and unknown signers are refused', async () => {
+  const verifier = new SignerVerifier(client);
+
+  await rejects(verifier.verify('revoked', 7), 403, 'not_approved');
+  await rejects(verifier.verify('pending', 7), 403, 'not_approved');
+  await rejects(verifier.verify('missing', 7), 404, 'not_found');
+});
+
+test('a signer of another FID is refused', async () => {
+  const verifier = new SignerVerifier(client);
+
+  await rejects(verifier.verify('valid', 8), 403, 'fid_mismatch');
+});
+
+test('lookup failures and a missing client are server errors, not rejections', async () => {
+  await rejects(new SignerVerifier(client).verify('down', 7), 502, 'lookup_failed');
+  await rejects(new SignerVerifier(null).verify('valid', 7), 503, 'not_configured');
+});
+
+test('re-checks revoke only signers that no longer check out', async () => {
+  const revoked = [];
+  const verifier = new SignerVerifier(client, {
+    listSigners: () => [
+      { signerUuid: 'valid', fid: 7, provider: 'neynar_siwn', status: 'approved' },
+      { signerUuid: 'revoked', fid: 7, provider: 'neynar_siwn', status: 'approved' },
+      { signerUuid: 'valid', fid: 9, provider: 'neynar', status: 'approved' },
+      { signerUuid: 'down', fid: 7, provider: 'neynar', status: 'approved' },
+      { signerUuid: 'missing', fid: 7, provider: 'direct_farcaster', status: 'completed' }
+    ],
+    onRevoked: (signer, reason) => revoked.push([signer.signerUuid, signer.fid, reason])
+  });
+
+  await verifier.recheckAll();
+
+  assert.deepEqual(revoked, [
+    ['revoked', 7, 'Signer is not approved (status: revoked)'],
+    ['valid', 9, 'Signer belongs to FID 7, not FID 9']
+  ]);
+});
@@ -0,0 +1,84 @@
+import './helpers/memory-store.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import WebhookDispatcher, { signPayload } from '../webhooks.js';
+import { getWebhookDelivery } from '../database/db.js';
+
+// A receiver that records requests and answers with the next queued status
+const received = [];
+const statuses = [];
+let receiverUrl;
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(statuses.shift() || 200);
+    res.end('ok');
+  });
+});
+
+before(() => new Promise(resolve => receiver.listen(0, '127.0.0.1', () => {
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+  resolve();
+})));
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+// Wait for the deliveries emit() starts in the background
+async function settle(dispatcher) {
+  while (dispatcher.inFlight.size > 0) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('backoff doubles per attempt with equal jitter, up to the cap', () => {
+  const dispatcher = new WebhookDispatcher({ baseDelayMs: 1000, maxDelayMs: 8000 });
+  for (const [attempts, ceiling] of [[1, 1000], [2, 2000], [4, 8000], [9, 8000]]) {
+    for (let i = 0; i < 20; i++) {
+      const delay = dispatcher.backoff(attempts);
+      assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempts}: ${delay}ms`);
+    }
+  }
+});
+
+test('deliveries are signed over the timestamp and raw body', async () => {
+  received.length = 0;
+  const dispatcher = new WebhookDispatcher();
+  const webhook = dispatcher.create({ url: receiverUrl, events: ['cast.published'] });
+
+  dispatcher.emit('cast.published', { hash: '0xabc' });
+  dispatcher.emit('signer.revoked', { signerUuid: 's' });
+  await settle(dispatcher);
+
+  assert.equal(received.length, 1);
+  const [{ headers, body }] = received;
+  assert.equal(headers['x-webhook-id'], webhook.id);
+  assert.equal(headers['x-webhook-event'], 'cast.published');
+  assert.equal(headers['x-webhook-signature'], signPayload(webhook.secret, headers['x-webhook-timestamp'], body));
+  assert.deepEqual(JSON.parse(body).data, { hash: '0xabc' });
+  assert.equal(getWebhookDelivery(headers['x-webhook-delivery']).status, 'delivered');
+});
+
+test('failed attempts are retried with backoff until attempts run out', async () => {
+  const dispatcher = new WebhookDispatcher({ maxAttempts: 2, baseDelayMs: 60000 });
+  dispatcher.create({ url: receiverUrl, events: ['*'] });
+  statuses.push(500, 503);
+  received.length = 0;
+
+  dispatcher.emit('cast.failed', { postId: 'p' });
+  await settle(dispatcher);
+
+  const id = received[0].headers['x-webhook-delivery'];
+  const pending = getWebhookDelivery(id);
+  assert.equal(pending.status, 'pending');
+  assert.equal(pending.lastError, 'Receiver responded 500');
+  const delay = Date.parse(pending.nextAttemptAt) - Date.now();
+  assert.ok(delay > 25000 && delay <= 60000, `next attempt in ${delay}ms`);
+
+  const failed = await dispatcher.deliver(pending);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts, 2);
+  assert.deepEqual(failed.log.map(attempt => attempt.statusCode), [500, 503]);
+  assert.equal(received.at(-1).headers['x-webhook-delivery'], id);
+});
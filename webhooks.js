@@ -0,0 +1,298 @@
+// 🪝 Webhooks
+// Other tools can subscribe a URL to what happens here: casts published,
+// deleted or failing, signers approved or revoked, scheduled casts firing.
+// Each event becomes one delivery per matching subscription, POSTed as JSON.
+// Failed deliveries are retried with exponential backoff, and every attempt
+// is kept in the delivery log.
+//
+// Deliveries are signed with the subscription's secret:
+//   X-Webhook-Timestamp: unix seconds when the attempt was sent
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// Receivers should check the signature and reject old timestamps. A delivery
+// can arrive more than once; its id (X-Webhook-Delivery) stays the same.
+
+import crypto from 'crypto';
+import {
+  saveWebhook, getWebhook, listWebhooks, deleteWebhook,
+  saveWebhookDelivery, getWebhookDelivery, listWebhookDeliveries
+} from './database/db.js';
+import { CastValidationError } from './cast-utils.js';
+
+export const WEBHOOK_EVENTS = [
+  'cast.published',
+  'cast.deleted',
+  'cast.failed',
+  'signer.approved',
+  'signer.revoked',
+  'scheduled_cast.fired'
+];
+
+// pending -> sending -> delivered, or back to pending (retry) or failed
+export const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+
+// How much of a receiver's response body goes into the log
+const MAX_LOGGED_RESPONSE = 500;
+
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+// A subscription as the admin API shows it: the secret only on creation
+// and rotation
+export function toPublicWebhook(webhook, { withSecret = false } = {}) {
+  const { secret, ...publicWebhook } = webhook;
+  return withSecret ? webhook : { ...publicWebhook, secretHint: `${secret.slice(0, 10)}...` };
+}
+
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new CastValidationError('url must be an absolute URL', 'url');
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new CastValidationError('url must use http or https', 'url');
+  }
+  return parsed.toString();
+}
+
+// '*' subscribes to every event
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new CastValidationError('events must be a non-empty array', 'events');
+  }
+  for (const event of events) {
+    if (event !== '*' && !WEBHOOK_EVENTS.includes(event)) {
+      throw new CastValidationError(`Unknown event "${event}" (expected: *, ${WEBHOOK_EVENTS.join(', ')})`, 'events');
+    }
+  }
+  return [...new Set(events)];
+}
+
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || 10000;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+    this.timeoutMs = options.timeoutMs || (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+    this.baseDelayMs = options.baseDelayMs || 30 * 1000;
+    this.maxDelayMs = options.maxDelayMs || 60 * 60 * 1000;
+    this.inFlight = new Set();
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    this.recoverInterrupted();
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    console.log(`🪝 Webhook dispatcher running (${listWebhooks().length} subscription(s))`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Same backoff as the cast outbox: doubling, capped, with equal jitter
+  backoff(attempts) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** Math.max(0, attempts - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  create({ url, events, description, secret }) {
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new CastValidationError('secret must be at least 16 characters', 'secret');
+    }
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      url: validateUrl(url),
+      events: validateEvents(events),
+      description: description ? String(description) : null,
+      secret: secret || generateSecret(),
+      active: true,
+      createdAt: new Date().toISOString()
+    };
+    saveWebhook(webhook);
+    console.log('🪝 Webhook added:', webhook.id, webhook.url, webhook.events.join(', '));
+    return webhook;
+  }
+
+  // Change url, events, description or active, and/or rotate the secret
+  update(id, { url, events, description, active, rotateSecret }) {
+    const webhook = getWebhook(id);
+    if (!webhook) {
+      return null;
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      throw new CastValidationError('active must be true or false', 'active');
+    }
+
+    const updated = {
+      ...webhook,
+      ...(url !== undefined ? { url: validateUrl(url) } : {}),
+      ...(events !== undefined ? { events: validateEvents(events) } : {}),
+      ...(description !== undefined ? { description: description ? String(description) : null } : {}),
+      ...(active !== undefined ? { active } : {}),
+      ...(rotateSecret ? { secret: generateSecret(), secretRotatedAt: new Date().toISOString() } : {})
+    };
+    saveWebhook(updated);
+    return updated;
+  }
+
+  // Delete a subscription; its delivery log is kept
+  remove(id) {
+    return deleteWebhook(id);
+  }
+
+  // Queue `event` for every active subscription to it and start delivering.
+  // Never throws, so callers can emit without guarding.
+  emit(event, data) {
+    try {
+      const subscribers = listWebhooks().filter(webhook =>
+        webhook.active && (webhook.events.includes(event) || webhook.events.includes('*'))
+      );
+
+      for (const webhook of subscribers) {
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+        const delivery = {
+          id,
+          webhookId: webhook.id,
+          event,
+          payload: { id, event, createdAt: now, data },
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: now,
+          log: [],
+          createdAt: now
+        };
+        saveWebhookDelivery(delivery);
+        this.deliver(delivery).catch(error => console.error('❌ Webhook delivery crashed:', id, error));
+      }
+    } catch (error) {
+      console.error(`❌ Could not queue webhook event ${event}:`, error);
+    }
+  }
+
+  // Send one delivery attempt and record the outcome
+  async deliver(delivery) {
+    if (this.inFlight.has(delivery.id)) {
+      return delivery;
+    }
+    this.inFlight.add(delivery.id);
+
+    try {
+      const webhook = getWebhook(delivery.webhookId);
+      if (!webhook || !webhook.active) {
+        const failed = {
+          ...delivery,
+          status: 'failed',
+          nextAttemptAt: null,
+          lastError: webhook ? 'Webhook is disabled' : 'Webhook was deleted'
+        };
+        saveWebhookDelivery(failed);
+        return failed;
+      }
+
+      const attempts = delivery.attempts + 1;
+      saveWebhookDelivery({ ...delivery, status: 'sending', attempts });
+
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+      const startedAt = Date.now();
+      const attempt = { at: new Date(startedAt).toISOString(), url: webhook.url };
+
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'farcaster-direct-casting-webhooks',
+            'X-Webhook-Id': webhook.id,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+          },
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        attempt.statusCode = response.status;
+        attempt.response = (await response.text()).slice(0, MAX_LOGGED_RESPONSE);
+        if (!response.ok) {
+          attempt.error = `Receiver responded ${response.status}`;
+        }
+      } catch (error) {
+        attempt.error = error.name === 'TimeoutError' ? `No response within ${this.timeoutMs}ms` : error.message;
+      }
+      attempt.durationMs = Date.now() - startedAt;
+
+      const result = {
+        ...delivery,
+        attempts,
+        log: [...(delivery.log || []), attempt],
+        lastError: attempt.error || null
+      };
+      if (!attempt.error) {
+        Object.assign(result, { status: 'delivered', nextAttemptAt: null, deliveredAt: new Date().toISOString() });
+      } else if (attempts < this.maxAttempts) {
+        const nextAttemptAt = new Date(Date.now() + this.backoff(attempts)).toISOString();
+        Object.assign(result, { status: 'pending', nextAttemptAt });
+        console.log(`🪝 Webhook delivery ${delivery.id} failed (${attempt.error}); retry ${attempts + 1}/${this.maxAttempts} at ${nextAttemptAt}`);
+      } else {
+        Object.assign(result, { status: 'failed', nextAttemptAt: null });
+        console.log(`💀 Webhook delivery ${delivery.id} failed after ${attempts} attempt(s): ${attempt.error}`);
+      }
+      saveWebhookDelivery(result);
+      return result;
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  // Send a delivery again now, with a fresh set of attempts
+  async redeliver(id) {
+    const delivery = getWebhookDelivery(id);
+    if (!delivery) {
+      return null;
+    }
+    if (delivery.status === 'sending' || this.inFlight.has(id)) {
+      throw new CastValidationError('This delivery is being sent right now', 'status');
+    }
+    return this.deliver({ ...delivery, attempts: 0, redeliveredAt: new Date().toISOString() });
+  }
+
+  // Deliveries left 'sending' by a restart are sent again; receivers dedupe
+  // by delivery id
+  recoverInterrupted() {
+    for (const delivery of listWebhookDeliveries({ status: 'sending' })) {
+      saveWebhookDelivery({ ...delivery, status: 'pending', nextAttemptAt: new Date().toISOString() });
+    }
+  }
+
+  async tick() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      for (const delivery of listWebhookDeliveries({ status: 'pending', dueBefore: Date.now() })) {
+        await this.deliver(delivery);
+      }
+    } catch (error) {
+      console.error('❌ Webhook tick failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default WebhookDispatcher;